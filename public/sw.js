@@ -0,0 +1,90 @@
+// Service worker for the registration kiosk. The page shell and its runtime
+// libraries are cached so the page still opens when the campus network is
+// down; registrations made meanwhile are queued by the page itself (see
+// OFFLINE QUEUE in index.html). Bump CACHE_NAME when the shell list changes.
+const CACHE_NAME = 'library-shell-v1';
+
+// Served from node_modules; they only change with the package versions
+const LIBRARIES = [
+  '/vendor/react/react.production.min.js',
+  '/vendor/react-dom/react-dom.production.min.js',
+  '/vendor/babel/babel.min.js'
+];
+
+const SHELL = [
+  '/',
+  '/manifest.json',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/vendor/tailwind.css',
+  ...LIBRARIES
+];
+
+// Public API data the registration form needs; the last good copy is used offline
+const OFFLINE_API = ['/api/courses', '/api/sections', '/api/settings/system-logo'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Try the network and refresh the cached copy; fall back to the cache offline
+async function networkFirst(request, cacheKey = request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages always try for the latest version first
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (OFFLINE_API.includes(url.pathname)) event.respondWith(networkFirst(request));
+    return; // everything else needs the server
+  }
+
+  if (LIBRARIES.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  event.respondWith(networkFirst(request));
+});
@@ -3,6 +3,18 @@ const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Jimp, loadFont, measureTextHeight } = require('jimp');
+const { SANS_32_BLACK, SANS_32_WHITE } = require('jimp/fonts');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const ExcelJS = require('exceljs');
+const nodemailer = require('nodemailer');
+
+require('dotenv').config({ path: path.join(__dirname, 'emailconfirmation.env') });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,19 +24,39 @@ app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static('public'));
+// The page's runtime libraries are served from node_modules rather than a
+// CDN, so the kiosk still loads when the campus network is down
+app.use('/vendor/react', express.static('node_modules/react/umd'));
+app.use('/vendor/react-dom', express.static('node_modules/react-dom/umd'));
+app.use('/vendor/babel', express.static('node_modules/@babel/standalone'));
+// The stylesheet is built from tailwind.css by `npm run build:css`, which
+// npm start runs first
+if (!fs.existsSync(path.join('public', 'vendor', 'tailwind.css'))) {
+  console.warn('⚠️ public/vendor/tailwind.css is missing - run "npm run build:css" (npm start does this)');
+}
 
-// Initialize SQLite Database
-const db = new sqlite3.Database('./library.db', (err) => {
+// Answers 503 while a backup is being restored (see BACKUPS)
+app.use('/api', pauseDuringRestore);
+
+// Initialize SQLite Database. Restoring a backup reopens it, so `db` is
+// reassigned then.
+const DB_PATH = path.resolve('./library.db');
+// How long a write waits while another connection holds the write lock
+// (see withTransaction)
+const DB_BUSY_TIMEOUT_MS = 30 * 1000;
+let db = new sqlite3.Database(DB_PATH, (err) => {
   if (err) {
     console.error('❌ Error opening database:', err);
   } else {
     console.log('✅ Connected to SQLite database');
+    db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
     initializeDatabase();
   }
 });
 
-// Create tables if they don't exist
+// Create tables if they don't exist. Resolves once the schema is up to date.
 function initializeDatabase() {
+  let ready;
   db.serialize(() => {
     // Students table
     db.run(`
@@ -55,6 +87,55 @@ function initializeDatabase() {
       }
     });
 
+    // Book catalog; status is available, on_loan or withdrawn
+    db.run(`
+      CREATE TABLE IF NOT EXISTS books (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        accessionNumber TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        title TEXT NOT NULL,
+        author TEXT,
+        isbn TEXT,
+        callNumber TEXT,
+        publisher TEXT,
+        publicationYear TEXT,
+        status TEXT NOT NULL DEFAULT 'available',
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating books table:', err);
+      } else {
+        console.log('✅ Books table ready');
+      }
+    });
+
+    // Loans; dueDate is a local YYYY-MM-DD, the fine is fixed on return
+    db.run(`
+      CREATE TABLE IF NOT EXISTS loans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bookId INTEGER NOT NULL,
+        studentId INTEGER NOT NULL,
+        studentNumber TEXT NOT NULL,
+        loanedAt DATETIME NOT NULL,
+        dueDate TEXT NOT NULL,
+        returnedAt DATETIME,
+        renewals INTEGER DEFAULT 0,
+        fine REAL DEFAULT 0,
+        finePaidAt DATETIME,
+        loanedBy TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating loans table:', err);
+      } else {
+        console.log('✅ Loans table ready');
+      }
+    });
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_loans_student ON loans (studentId, returnedAt)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_loans_book ON loans (bookId, returnedAt)');
+
     // Archived students table
     db.run(`
       CREATE TABLE IF NOT EXISTS archived_students (
@@ -114,336 +195,858 @@ function initializeDatabase() {
         console.error('❌ Error creating settings table:', err);
       } else {
         console.log('✅ Settings table ready');
-        
-        // Initialize default admin credentials
-        db.get('SELECT * FROM settings WHERE key = ?', ['admin-credentials'], (err, row) => {
-          if (!row) {
-            const defaultCreds = JSON.stringify({ username: 'admin', password: 'admin123' });
-            db.run('INSERT INTO settings (key, value) VALUES (?, ?)', ['admin-credentials', defaultCreds]);
-            console.log('✅ Default admin credentials set (admin/admin123)');
-          }
-        });
       }
     });
-  });
-}
 
-// ==================== STUDENT ENDPOINTS ====================
+    // Queued emails (registration confirmations)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        toAddress TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        studentId INTEGER,
+        studentNumber TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        lastError TEXT,
+        nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sentAt DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating email_outbox table:', err);
+      } else {
+        console.log('✅ Email outbox table ready');
+      }
+    });
 
-// Get all students
-app.get('/api/students', (req, res) => {
-  console.log('📊 GET /api/students - Fetching all students...');
-  
-  db.all('SELECT * FROM students ORDER BY registeredDateTime DESC', [], (err, rows) => {
-    if (err) {
-      console.error('❌ Error fetching students:', err.message);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    console.log(`✅ Fetched ${rows.length} students from database`);
-    res.json(rows);
-  });
-});
+    // Staff accounts table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        displayName TEXT,
+        role TEXT NOT NULL,
+        passwordSalt TEXT NOT NULL,
+        passwordHash TEXT NOT NULL,
+        mustChangePassword INTEGER DEFAULT 0,
+        active INTEGER DEFAULT 1,
+        lastLoginAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating users table:', err);
+      } else {
+        console.log('✅ Users table ready');
+        seedAdminAccount();
+      }
+    });
 
-// Add new student
-app.post('/api/students', (req, res) => {
-  const student = req.body;
-  
-  console.log('📝 POST /api/students - Registration attempt:', {
-    name: student.name,
-    studentNumber: student.studentNumber,
-    course: student.course,
-    hasPhoto: !!student.photo
-  });
-  
-  // Check for duplicate student number
-  db.get('SELECT * FROM students WHERE studentNumber = ?', [student.studentNumber], (err, row) => {
-    if (err) {
-      console.error('❌ Database error (duplicate check):', err.message);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    if (row) {
-      console.log('⚠️ Duplicate student number:', student.studentNumber);
-      res.status(400).json({ error: 'duplicate', student: row });
-      return;
-    }
-    
-    // Insert new student
-    const sql = `
-      INSERT INTO students 
-      (studentNumber, name, gender, course, year, section, email, phone, birthday, cardExpiry, photo,
-       registeredDate, registeredTime, registeredDateTime, isNew)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const params = [
-      student.studentNumber || '',
-      student.name || '',
-      student.gender || '',
-      student.course || '',
-      student.year || '',
-      student.section || '',
-      student.email || '',
-      student.phone || '',
-      student.birthday || '',
-      student.cardExpiry || '',
-      student.photo || '',
-      student.registeredDate || '',
-      student.registeredTime || '',
-      student.registeredDateTime || new Date().toISOString(),
-      1 // isNew
-    ];
-    
-    db.run(sql, params, function(err) {
+    // Library visits (check-in/check-out at the entrance)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS visits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        studentId INTEGER NOT NULL,
+        studentNumber TEXT NOT NULL,
+        name TEXT,
+        gender TEXT,
+        course TEXT,
+        year TEXT,
+        section TEXT,
+        checkInAt DATETIME NOT NULL,
+        checkOutAt DATETIME,
+        closedBy TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
       if (err) {
-        console.error('❌ Database error (insert):', err.message);
-        res.status(500).json({ error: err.message });
-        return;
+        console.error('❌ Error creating visits table:', err);
+      } else {
+        console.log('✅ Visits table ready');
       }
-      
-      const newStudent = {
-        id: this.lastID,
-        ...student,
-        isNew: 1
-      };
-      
-      console.log('✅ Student registered successfully:', {
-        id: this.lastID,
-        name: student.name,
-        studentNumber: student.studentNumber
-      });
-      
-      res.status(201).json(newStudent);
     });
-  });
-});
 
-// Update student
-app.put('/api/students/:id', (req, res) => {
-  const { id } = req.params;
-  const student = req.body;
-  
-  console.log(`📝 PUT /api/students/${id} - Updating student...`);
-  
-  const sql = `
-    UPDATE students 
-    SET name = ?, gender = ?, course = ?, year = ?, section = ?, 
-        email = ?, phone = ?, birthday = ?, cardExpiry = ?, photo = ?, isNew = ?
-    WHERE id = ?
-  `;
-  
-  const params = [
-    student.name,
-    student.gender,
-    student.course,
-    student.year,
-    student.section,
-    student.email,
-    student.phone,
-    student.birthday,
-    student.cardExpiry,
-    student.photo,
-    student.isNew ? 1 : 0,
-    id
-  ];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      console.error('❌ Error updating student:', err.message);
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    
-    console.log(`✅ Student ${id} updated successfully`);
-    res.json({ id: parseInt(id), ...student });
+    // Reference data: programs and sections offered
+    db.run(`
+      CREATE TABLE IF NOT EXISTS courses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        abbreviation TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        maxYears INTEGER NOT NULL DEFAULT 4,
+        active INTEGER NOT NULL DEFAULT 1,
+        sortOrder INTEGER NOT NULL DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating courses table:', err);
+      } else {
+        console.log('✅ Courses table ready');
+      }
+    });
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        active INTEGER NOT NULL DEFAULT 1,
+        sortOrder INTEGER NOT NULL DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) {
+        console.error('❌ Error creating sections table:', err);
+      } else {
+        console.log('✅ Sections table ready');
+      }
+    });
+
+    db.run('CREATE INDEX IF NOT EXISTS idx_visits_checkin ON visits (checkInAt)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_visits_open ON visits (studentId, checkOutAt)');
+
+    // Queued after the CREATE statements above, so the tables exist
+    ready = upgradeSchema()
+      .then(queueExpiryReminders)
+      .then(closeStaleVisits)
+      .then(runScheduledBackup)
+      .then(runScheduledPurge)
+      .then(runScheduledDuplicateScan)
+      .catch(err => console.error('❌ Error upgrading database:', err.message));
   });
-});
+  return ready;
+}
 
-// Delete (Archive) student
-app.delete('/api/students/:id', (req, res) => {
-  const { id } = req.params;
-  
-  console.log(`🗑️ DELETE /api/students/${id} - Archiving student...`);
-  
-  // First get the student
-  db.get('SELECT * FROM students WHERE id = ?', [id], (err, student) => {
-    if (err) {
-      console.error('❌ Error fetching student for archive:', err.message);
-      res.status(500).json({ error: err.message });
-      return;
+// Schema migrations. The CREATE TABLE statements above are the baseline schema. Every later
+// change to it is a migration: append one to MIGRATIONS with the next
+// version number and never edit or reorder an applied one. Each migration
+// runs in its own transaction together with its schema_migrations row, so a
+// crash leaves the database at the previous version, not half-way.
+//
+// Databases from before this table existed got some of these columns from
+// earlier releases, which is why the steps use addColumnIfMissing.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'activity log audit columns',
+    up: async () => {
+      await addColumnIfMissing('activity_log', 'username', 'TEXT');
+      await addColumnIfMissing('activity_log', 'ip', 'TEXT');
+      await addColumnIfMissing('activity_log', 'targetId', 'INTEGER');
+      await addColumnIfMissing('activity_log', 'studentNumber', 'TEXT');
+      await addColumnIfMissing('activity_log', 'changes', 'TEXT');
     }
-    
-    if (!student) {
-      console.log('⚠️ Student not found:', id);
-      res.status(404).json({ error: 'Student not found' });
-      return;
+  },
+  {
+    version: 2,
+    name: 'photo files',
+    up: async () => {
+      await addColumnIfMissing('students', 'photoKey', 'TEXT');
+      await addColumnIfMissing('archived_students', 'photoKey', 'TEXT');
     }
-    
-    // Archive the student
-    const archiveSql = `
-      INSERT INTO archived_students 
-      (originalId, studentNumber, name, gender, course, year, section, email, phone, birthday, 
-       cardExpiry, photo, registeredDate, registeredTime, registeredDateTime, archivedDate, archivedTime)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const now = new Date();
-    const archiveParams = [
-      student.id,
-      student.studentNumber,
-      student.name,
-      student.gender,
-      student.course,
-      student.year,
-      student.section,
-      student.email,
-      student.phone,
-      student.birthday,
-      student.cardExpiry,
-      student.photo,
-      student.registeredDate,
-      student.registeredTime,
-      student.registeredDateTime,
-      now.toLocaleDateString(),
-      now.toLocaleTimeString()
-    ];
-    
-    db.run(archiveSql, archiveParams, function(archiveErr) {
-      if (archiveErr) {
-        console.error('❌ Error archiving student:', archiveErr.message);
-        res.status(500).json({ error: archiveErr.message });
-        return;
+  },
+  {
+    version: 3,
+    name: 'expiry reminder dedupe key',
+    up: async () => {
+      // Expiry reminders are queued once per card
+      await addColumnIfMissing('email_outbox', 'dedupeKey', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'course and section references',
+    up: async () => {
+      await addColumnIfMissing('students', 'courseId', 'INTEGER');
+      await addColumnIfMissing('students', 'sectionId', 'INTEGER');
+      await addColumnIfMissing('archived_students', 'courseId', 'INTEGER');
+      await addColumnIfMissing('archived_students', 'sectionId', 'INTEGER');
+      await seedReferenceData();
+    }
+  },
+  {
+    version: 5,
+    name: 'academic year rollover',
+    up: async () => {
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS rollover_batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          academicYear TEXT,
+          reason TEXT,
+          options TEXT,
+          promoted INTEGER DEFAULT 0,
+          graduated INTEGER DEFAULT 0,
+          createdBy TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          undoneAt DATETIME,
+          undoneBy TEXT
+        )
+      `);
+      // One row per student a batch touched, with the values needed to undo it
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS rollover_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          batchId INTEGER NOT NULL,
+          studentId INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          archivedId INTEGER,
+          before TEXT NOT NULL,
+          after TEXT
+        )
+      `);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_rollover_changes_batch ON rollover_changes (batchId)');
+      await addColumnIfMissing('archived_students', 'archiveReason', 'TEXT');
+      await addColumnIfMissing('archived_students', 'rolloverBatchId', 'INTEGER');
+    }
+  },
+  {
+    version: 6,
+    name: 'self-service change requests',
+    up: async () => {
+      // changes is a JSON object of field -> requested value; a requested
+      // photo is stored like any other photo until the request is reviewed
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS change_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          studentId INTEGER NOT NULL,
+          studentNumber TEXT NOT NULL,
+          changes TEXT NOT NULL,
+          photoRequested INTEGER NOT NULL DEFAULT 0,
+          photoKey TEXT,
+          note TEXT,
+          verifiedBy TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          reviewNote TEXT,
+          reviewedBy TEXT,
+          reviewedAt DATETIME,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_change_requests_status ON change_requests (status, studentId)');
+    }
+  },
+  {
+    version: 7,
+    name: 'offline registration conflicts',
+    up: async () => {
+      // offlineId lets a kiosk replay a queued registration without creating
+      // it twice; registrations that could not be saved wait for staff in
+      // registration_conflicts (payload is the form without its photo)
+      await addColumnIfMissing('students', 'offlineId', 'TEXT');
+      await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_students_offline ON students (offlineId) WHERE offlineId IS NOT NULL');
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS registration_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          offlineId TEXT NOT NULL UNIQUE,
+          reason TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          photoKey TEXT,
+          fields TEXT,
+          existingId INTEGER,
+          queuedAt DATETIME,
+          status TEXT NOT NULL DEFAULT 'open',
+          resolution TEXT,
+          studentId INTEGER,
+          resolvedBy TEXT,
+          resolvedAt DATETIME,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'student revisions',
+    up: async () => {
+      // Each row is a student record as it was before an update replaced it;
+      // changedBy/createdAt describe that update. studentId follows the
+      // student through archive and restore like loans and visits do.
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS student_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          studentId INTEGER NOT NULL,
+          revision INTEGER NOT NULL,
+          data TEXT NOT NULL,
+          photoKey TEXT,
+          source TEXT NOT NULL,
+          changedBy TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (studentId, revision)
+        )
+      `);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_student_revisions_photo ON student_revisions (photoKey)');
+    }
+  },
+  {
+    version: 9,
+    name: 'duplicate flags',
+    up: async () => {
+      // recordA/recordB are 'student:<id>' or 'archived:<id>', in sorted
+      // order so a pair is only flagged once; reasons is a JSON array
+      await dbRun(`
+        CREATE TABLE IF NOT EXISTS duplicate_flags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          recordA TEXT NOT NULL,
+          recordB TEXT NOT NULL,
+          reasons TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          reviewedBy TEXT,
+          reviewedAt DATETIME,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (recordA, recordB)
+        )
+      `);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_duplicate_flags_status ON duplicate_flags (status)');
+    }
+  },
+  {
+    version: 10,
+    name: 'no sign-in codes in the outbox',
+    up: async () => {
+      // Sign-in codes are now sent directly (see sendLoginCode); drop the
+      // ones earlier releases queued, which held the code in plain text
+      await dbRun("DELETE FROM email_outbox WHERE kind = 'login-code'");
+    }
+  }
+];
+
+async function runMigrations() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = new Set((await dbAll('SELECT version FROM schema_migrations')).map(row => row.version));
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if ([...applied].some(version => version > latest)) {
+    console.warn(`⚠️ The database has migrations newer than this release (v${Math.max(...applied)} > v${latest})`);
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    await withTransaction(async () => {
+      await migration.up();
+      await dbRun('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`✅ Migration ${migration.version} applied: ${migration.name}`);
+  }
+}
+
+async function getSchemaVersion() {
+  const row = await dbGet('SELECT MAX(version) AS version FROM schema_migrations');
+  return row.version || 0;
+}
+
+async function upgradeSchema() {
+  await runMigrations();
+
+  // Photos left in the tables by the first releases move to files. Not a
+  // migration: a photo that fails to move is retried on the next start.
+  await migratePhotosToFiles('students');
+  await migratePhotosToFiles('archived_students');
+
+  await loadReferenceData();
+  console.log(`📊 Database schema at version ${await getSchemaVersion()}`);
+}
+
+// Create the first librarian account. Databases from before staff accounts
+// existed keep their shared admin login from the settings table.
+function seedAdminAccount() {
+  db.get('SELECT COUNT(*) AS count FROM users', [], (err, result) => {
+    if (err || result.count > 0) return;
+
+    db.get('SELECT value FROM settings WHERE key = ?', ['admin-credentials'], (err, row) => {
+      let account;
+
+      if (row) {
+        const creds = JSON.parse(row.value);
+        if (creds.password !== undefined) {
+          // Plain-text credentials from the original release
+          account = { username: creds.username, ...createPasswordHash(creds.password), mustChangePassword: creds.password === 'admin123' };
+        } else {
+          account = { username: creds.username, salt: creds.salt, hash: creds.hash, mustChangePassword: creds.mustChangePassword };
+        }
+      } else {
+        account = { username: 'admin', ...createPasswordHash('admin123'), mustChangePassword: true };
       }
-      
-      // Delete from active students
-      db.run('DELETE FROM students WHERE id = ?', [id], function(deleteErr) {
-        if (deleteErr) {
-          console.error('❌ Error deleting student:', deleteErr.message);
-          res.status(500).json({ error: deleteErr.message });
-          return;
+
+      dbWrite(
+        `INSERT INTO users (username, displayName, role, passwordSalt, passwordHash, mustChangePassword)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [account.username, 'Head Librarian', 'librarian', account.salt, account.hash, account.mustChangePassword ? 1 : 0],
+        (insertErr) => {
+          if (insertErr) {
+            console.error('❌ Error creating admin account:', insertErr.message);
+            return;
+          }
+
+          if (row) {
+            dbWrite('DELETE FROM settings WHERE key = ?', ['admin-credentials']);
+            console.log(`✅ Admin credentials moved to librarian account "${account.username}"`);
+          } else {
+            console.log('✅ Default librarian account created (admin/admin123) - password change required on first login');
+          }
         }
-        
-        console.log(`✅ Student ${id} archived successfully`);
-        res.json({ message: 'Student archived successfully' });
-      });
+      );
     });
   });
-});
+}
 
-// ==================== ARCHIVED STUDENTS ENDPOINTS ====================
+// Promise wrappers for the sqlite3 callback API. Inside withTransaction
+// they run on the transaction's connection; work it left running after the
+// commit goes back to the shared one.
+const transactionContext = new AsyncLocalStorage();
+const openTransaction = () => {
+  const transaction = transactionContext.getStore();
+  return transaction && transaction.open ? transaction : null;
+};
+const connection = () => (openTransaction() ? openTransaction().connection : db);
 
-// Get archived students
-app.get('/api/archived', (req, res) => {
-  console.log('📊 GET /api/archived - Fetching archived students...');
-  
-  db.all('SELECT * FROM archived_students ORDER BY archivedDate DESC', [], (err, rows) => {
-    if (err) {
-      console.error('❌ Error fetching archived students:', err.message);
-      res.status(500).json({ error: err.message });
-      return;
+// Writes from outside a transaction wait until the open one has finished,
+// and a transaction waits for the writes already running before it begins.
+// Left to SQLite's lock, a write that overlaps a transaction can fail at once
+// with SQLITE_BUSY rather than wait.
+let transactionDone = null;
+let pendingWrites = 0;
+let writesDrained = null;
+
+function whenNoTransaction(issue) {
+  if (transactionDone) transactionDone.then(() => whenNoTransaction(issue));
+  else issue();
+}
+
+// db.run for writes outside a transaction
+function dbWrite(sql, params, callback) {
+  whenNoTransaction(() => {
+    pendingWrites++;
+    db.run(sql, params, function(err) {
+      pendingWrites--;
+      if (!pendingWrites && writesDrained) writesDrained();
+      if (callback) callback.call(this, err);
+    });
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const done = function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    };
+    if (openTransaction()) openTransaction().connection.run(sql, params, done);
+    else dbWrite(sql, params, done);
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection().get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Runs work() between BEGIN and COMMIT, rolling back if it throws.
+// Transactions get a connection of their own, so statements from other
+// requests never land inside one: their writes wait for the commit and
+// their reads see the data as it was before. Transactions are
+// queued one after another; one started inside work() joins the open one.
+let transactionQueue = Promise.resolve();
+let transactionDb = null;
+
+function withTransaction(work) {
+  if (openTransaction()) return work();
+
+  const run = transactionQueue.then(async () => {
+    if (!transactionDb) {
+      transactionDb = await openDatabase();
+      transactionDb.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
     }
-    
-    console.log(`✅ Fetched ${rows.length} archived students`);
-    res.json(rows);
+    let finish;
+    transactionDone = new Promise(resolve => { finish = resolve; });
+    while (pendingWrites) await new Promise(resolve => { writesDrained = resolve; });
+    writesDrained = null;
+    const transaction = { connection: transactionDb, open: true };
+    return transactionContext.run(transaction, async () => {
+      try {
+        await dbRun('BEGIN IMMEDIATE');
+        const result = await work();
+        await dbRun('COMMIT');
+        return result;
+      } catch (err) {
+        await dbRun('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        transaction.open = false;
+        transactionDone = null;
+        finish();
+      }
+    });
   });
-});
+  transactionQueue = run.catch(() => {});
+  return run;
+}
 
-// Restore archived student
-app.post('/api/restore/:id', (req, res) => {
-  const { id } = req.params;
-  
-  console.log(`♻️ POST /api/restore/${id} - Restoring student...`);
-  
-  // Get archived student
-  db.get('SELECT * FROM archived_students WHERE id = ?', [id], (err, student) => {
+// Error for a request that cannot be carried out; the route handler sends
+// `body` ({ error: code, ...details }) with `status`
+function httpError(status, code, details = {}) {
+  const err = new Error(code);
+  err.status = status;
+  err.body = { error: code, ...details };
+  return err;
+}
+
+// Value of a settings row, or the fallback when it is missing or empty
+async function getSetting(key, fallback = null) {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', [key]);
+  return row && row.value !== null && row.value !== '' ? row.value : fallback;
+}
+
+// CREATE TABLE IF NOT EXISTS leaves existing tables alone, so new columns
+// have to be added separately
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) return;
+
+  await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`✅ Added column ${table}.${column}`);
+}
+
+// ==================== AUDIT TRAIL ====================
+
+// Fields that never go into the change diff
+const AUDIT_IGNORED_FIELDS = ['createdAt'];
+
+// Large image values are recorded as a marker instead of the data URL
+const AUDIT_IMAGE_FIELDS = ['photo', 'photoKey', 'photoUrl', 'system-logo'];
+
+function auditValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (AUDIT_IMAGE_FIELDS.includes(field)) return '[image]';
+  return value;
+}
+
+// Field-level diff between two versions of a record: { field: { from, to } }.
+// Pass null as `before` for created records and as `after` for removed ones.
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    if (after && !(field in after) && before) return; // field not part of the update
+
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+    if (String(from ?? '') === String(to ?? '')) return;
+
+    changes[field] = { from: auditValue(field, from), to: auditValue(field, to) };
+  });
+
+  return changes;
+}
+
+function getClientIp(req) {
+  return (req.ip || req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// Write an audit entry for the current request. The acting user comes from
+// the session (or `username` for login attempts and scheduled jobs, which
+// pass no request), never from the client.
+function recordAudit(req, action, { details = '', targetId = null, studentNumber = null, before, after, username } = {}) {
+  const session = req ? req.session || getSession(req) : null;
+  const actor = username !== undefined ? username : (session ? session.username : null);
+  const changes = before !== undefined || after !== undefined ? diffFields(before, after) : null;
+
+  dbWrite(
+    `INSERT INTO activity_log (action, details, username, ip, targetId, studentNumber, changes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [action, details, actor, req ? getClientIp(req) : null, targetId, studentNumber, changes ? JSON.stringify(changes) : null],
+    (err) => {
+      if (err) {
+        console.error('❌ Error recording audit entry:', err.message);
+      }
+    }
+  );
+}
+
+// ==================== AUTHENTICATION ====================
+
+const SESSION_COOKIE = 'library_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // one library shift
+const sessions = new Map();
+
+// librarian: everything, including settings, accounts and permanent deletes
+// assistant: day-to-day student and archive work
+// readonly:  can only list records (auditors)
+const ROLES = ['librarian', 'assistant', 'readonly'];
+const STAFF_ROLES = ['librarian', 'assistant'];
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function createPasswordHash(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, hash: hashPassword(password, salt) };
+}
+
+function verifyPassword(user, password) {
+  const expected = Buffer.from(user.passwordHash, 'hex');
+  const actual = Buffer.from(hashPassword(password, user.passwordSalt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > -1) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function startSession(res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, {
+    userId: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    mustChangePassword: !!user.mustChangePassword,
+    expiresAt: Date.now() + SESSION_TTL_MS
+  });
+  setSessionCookie(res, token, SESSION_TTL_MS / 1000);
+  return sessions.get(token);
+}
+
+function getSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return { token, ...session };
+}
+
+function endUserSessions(userId, exceptToken) {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId && token !== exceptToken) {
+      sessions.delete(token);
+    }
+  }
+}
+
+function setSessionCookie(res, token, maxAgeSeconds) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAgeSeconds}`);
+}
+
+function sessionInfo(session) {
+  return {
+    id: session.userId,
+    username: session.username,
+    displayName: session.displayName,
+    role: session.role,
+    mustChangePassword: session.mustChangePassword
+  };
+}
+
+// Rejects requests without a valid session. Until a default or reset
+// password is changed, only the change-password and logout routes are reachable.
+function requireAuth(req, res, next) {
+  const session = getSession(req);
+  if (!session) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+
+  if (session.mustChangePassword) {
+    res.status(403).json({ error: 'password_change_required' });
+    return;
+  }
+
+  req.session = session;
+  next();
+}
+
+// Same as requireAuth, but also limits the route to the given roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!roles.includes(req.session.role)) {
+        console.log(`⚠️ ${req.session.username} (${req.session.role}) denied ${req.method} ${req.path}`);
+        res.status(403).json({ error: 'forbidden' });
+        return;
+      }
+      next();
+    });
+  };
+}
+
+// Login
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+
+  db.get('SELECT * FROM users WHERE username = ?', [username || ''], (err, user) => {
     if (err) {
-      console.error('❌ Error fetching archived student:', err.message);
+      console.error('❌ Error fetching user:', err.message);
       res.status(500).json({ error: err.message });
       return;
     }
-    
-    if (!student) {
-      console.log('⚠️ Archived student not found:', id);
-      res.status(404).json({ error: 'Archived student not found' });
+
+    if (!user || !password || !verifyPassword(user, password)) {
+      console.log('⚠️ Failed login attempt for:', username);
+      recordAudit(req, 'LOGIN_FAILED', { details: `Failed login for ${username || '(blank)'}`, username: null });
+      res.status(401).json({ error: 'invalid_credentials' });
       return;
     }
-    
-    // Restore to students table
-    const restoreSql = `
-      INSERT INTO students 
-      (studentNumber, name, gender, course, year, section, email, phone, birthday, cardExpiry, photo,
-       registeredDate, registeredTime, registeredDateTime, isNew)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    
-    const restoreParams = [
-      student.studentNumber,
-      student.name,
-      student.gender,
-      student.course,
-      student.year,
-      student.section,
-      student.email,
-      student.phone,
-      student.birthday,
-      student.cardExpiry,
-      student.photo,
-      student.registeredDate,
-      student.registeredTime,
-      student.registeredDateTime,
-      0 // isNew = false for restored students
-    ];
-    
-    db.run(restoreSql, restoreParams, function(restoreErr) {
-      if (restoreErr) {
-        console.error('❌ Error restoring student:', restoreErr.message);
-        res.status(500).json({ error: restoreErr.message });
-        return;
-      }
-      
-      // Delete from archive
-      db.run('DELETE FROM archived_students WHERE id = ?', [id], function(deleteErr) {
-        if (deleteErr) {
-          console.error('❌ Error removing from archive:', deleteErr.message);
-          res.status(500).json({ error: deleteErr.message });
-          return;
-        }
-        
-        console.log(`✅ Student ${id} restored successfully`);
-        res.json({ message: 'Student restored successfully' });
-      });
-    });
+
+    if (!user.active) {
+      console.log('⚠️ Login attempt on disabled account:', user.username);
+      recordAudit(req, 'LOGIN_FAILED', { details: `Disabled account ${user.username} tried to log in`, username: user.username, targetId: user.id });
+      res.status(403).json({ error: 'account_disabled' });
+      return;
+    }
+
+    const session = startSession(res, user);
+    dbWrite('UPDATE users SET lastLoginAt = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+    recordAudit(req, 'LOGIN', { details: `User ${user.username} logged in`, username: user.username, targetId: user.id });
+    console.log(`✅ ${user.username} (${user.role}) logged in`);
+    res.json(sessionInfo(session));
   });
 });
 
-// Delete archived student permanently
-app.delete('/api/archived/:id', (req, res) => {
-  const { id } = req.params;
-  
-  console.log(`🗑️ DELETE /api/archived/${id} - Permanently deleting...`);
-  
-  db.run('DELETE FROM archived_students WHERE id = ?', [id], function(err) {
+// Logout
+app.post('/api/auth/logout', (req, res) => {
+  const session = getSession(req);
+  if (session) {
+    sessions.delete(session.token);
+    recordAudit(req, 'LOGOUT', { details: `User ${session.username} logged out`, username: session.username, targetId: session.userId });
+  }
+  setSessionCookie(res, '', 0);
+  res.json({ message: 'Logged out' });
+});
+
+// Current session
+app.get('/api/auth/session', (req, res) => {
+  const session = getSession(req);
+  if (!session) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  res.json(sessionInfo(session));
+});
+
+// Change own username/password (required after a default or reset password)
+app.post('/api/auth/change-password', (req, res) => {
+  const session = getSession(req);
+  if (!session) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+
+  const { currentPassword, newUsername, newPassword } = req.body;
+
+  if (!newPassword || newPassword.length < 6) {
+    res.status(400).json({ error: 'password_too_short' });
+    return;
+  }
+
+  db.get('SELECT * FROM users WHERE id = ?', [session.userId], (err, user) => {
     if (err) {
-      console.error('❌ Error permanently deleting student:', err.message);
+      console.error('❌ Error fetching user:', err.message);
       res.status(500).json({ error: err.message });
       return;
     }
-    
-    console.log(`✅ Archived student ${id} permanently deleted`);
-    res.json({ message: 'Student permanently deleted' });
+
+    if (!user || !currentPassword || !verifyPassword(user, currentPassword)) {
+      res.status(401).json({ error: 'invalid_credentials' });
+      return;
+    }
+
+    if (currentPassword === newPassword) {
+      res.status(400).json({ error: 'password_unchanged' });
+      return;
+    }
+
+    const username = (newUsername || '').trim() || user.username;
+    const { salt, hash } = createPasswordHash(newPassword);
+
+    dbWrite(
+      'UPDATE users SET username = ?, passwordSalt = ?, passwordHash = ?, mustChangePassword = 0 WHERE id = ?',
+      [username, salt, hash, user.id],
+      function(updateErr) {
+        if (updateErr) {
+          if (updateErr.message.includes('UNIQUE')) {
+            res.status(400).json({ error: 'username_taken' });
+            return;
+          }
+          console.error('❌ Error updating credentials:', updateErr.message);
+          res.status(500).json({ error: updateErr.message });
+          return;
+        }
+
+        // Sign out the account's other sessions that used the old password
+        endUserSessions(user.id, session.token);
+        Object.assign(sessions.get(session.token), { username, mustChangePassword: false });
+
+        recordAudit(req, 'CREDENTIALS_UPDATE', {
+          details: `Credentials updated for ${username}`,
+          username: user.username,
+          targetId: user.id,
+          before: { username: user.username },
+          after: { username }
+        });
+        console.log(`✅ Credentials updated for ${username}`);
+        res.json(sessionInfo(getSession(req)));
+      }
+    );
   });
 });
 
-// ==================== ACTIVITY LOG ENDPOINTS ====================
+// ==================== STAFF ACCOUNT ENDPOINTS ====================
+
+const USER_COLUMNS = 'id, username, displayName, role, mustChangePassword, active, lastLoginAt, createdAt';
+
+function generateTemporaryPassword() {
+  // No look-alike characters, so it can be read out at the desk
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from(crypto.randomBytes(10), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// Refuse changes that would leave nobody able to manage accounts
+function ensureOtherActiveLibrarian(userId, callback) {
+  db.get(
+    "SELECT COUNT(*) AS count FROM users WHERE role = 'librarian' AND active = 1 AND id != ?",
+    [userId],
+    (err, result) => callback(err, !err && result.count > 0)
+  );
+}
 
-// Get activity log
-app.get('/api/activity', (req, res) => {
-  db.all('SELECT * FROM activity_log ORDER BY timestamp DESC LIMIT 100', [], (err, rows) => {
+// List accounts
+app.get('/api/users', requireRole('librarian'), (req, res) => {
+  db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`, [], (err, rows) => {
     if (err) {
-      console.error('❌ Error fetching activity log:', err.message);
+      console.error('❌ Error fetching users:', err.message);
       res.status(500).json({ error: err.message });
       return;
     }
@@ -451,56 +1054,6381 @@ app.get('/api/activity', (req, res) => {
   });
 });
 
-// Add activity
-app.post('/api/activity', (req, res) => {
-  const { action, details } = req.body;
-  
-  db.run(
-    'INSERT INTO activity_log (action, details) VALUES (?, ?)',
-    [action, details],
+// Create account
+app.post('/api/users', requireRole('librarian'), (req, res) => {
+  const { username, displayName, role, password } = req.body;
+
+  if (!username || !username.trim()) {
+    res.status(400).json({ error: 'username_required' });
+    return;
+  }
+
+  if (!ROLES.includes(role)) {
+    res.status(400).json({ error: 'invalid_role' });
+    return;
+  }
+
+  if (password && password.length < 6) {
+    res.status(400).json({ error: 'password_too_short' });
+    return;
+  }
+
+  // Without a chosen password, hand out a temporary one that must be changed
+  const temporaryPassword = password ? null : generateTemporaryPassword();
+  const { salt, hash } = createPasswordHash(password || temporaryPassword);
+
+  dbWrite(
+    `INSERT INTO users (username, displayName, role, passwordSalt, passwordHash, mustChangePassword)
+     VALUES (?, ?, ?, ?, ?, 1)`,
+    [username.trim(), displayName || '', role, salt, hash],
     function(err) {
       if (err) {
-        console.error('❌ Error adding activity:', err.message);
+        if (err.message.includes('UNIQUE')) {
+          res.status(400).json({ error: 'username_taken' });
+          return;
+        }
+        console.error('❌ Error creating user:', err.message);
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json({ id: this.lastID, action, details });
+
+      recordAudit(req, 'USER_CREATE', {
+        details: `Created ${role} account ${username.trim()}`,
+        targetId: this.lastID,
+        before: null,
+        after: { username: username.trim(), displayName: displayName || '', role }
+      });
+      console.log(`✅ User ${username.trim()} (${role}) created`);
+
+      db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [this.lastID], (getErr, user) => {
+        res.status(201).json({ ...user, temporaryPassword });
+      });
     }
   );
 });
 
-// ==================== SETTINGS ENDPOINTS ====================
+// Update display name / role
+app.put('/api/users/:id', requireRole('librarian'), (req, res) => {
+  const id = parseInt(req.params.id);
+  const { displayName, role } = req.body;
 
-// Get setting
-app.get('/api/settings/:key', (req, res) => {
-  const { key } = req.params;
-  
-  db.get('SELECT * FROM settings WHERE key = ?', [key], (err, row) => {
+  if (role !== undefined && !ROLES.includes(role)) {
+    res.status(400).json({ error: 'invalid_role' });
+    return;
+  }
+
+  db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
     if (err) {
-      console.error('❌ Error fetching setting:', err.message);
+      console.error('❌ Error fetching user:', err.message);
       res.status(500).json({ error: err.message });
       return;
     }
-    res.json(row || null);
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const newRole = role || user.role;
+
+    ensureOtherActiveLibrarian(id, (checkErr, hasOther) => {
+      if (user.role === 'librarian' && newRole !== 'librarian' && !hasOther) {
+        res.status(400).json({ error: 'last_librarian' });
+        return;
+      }
+
+      dbWrite(
+        'UPDATE users SET displayName = ?, role = ? WHERE id = ?',
+        [displayName !== undefined ? displayName : user.displayName, newRole, id],
+        function(updateErr) {
+          if (updateErr) {
+            console.error('❌ Error updating user:', updateErr.message);
+            res.status(500).json({ error: updateErr.message });
+            return;
+          }
+
+          // Role changes apply from the next login
+          if (newRole !== user.role) {
+            endUserSessions(id);
+            recordAudit(req, 'USER_ROLE_CHANGE', {
+              details: `Changed ${user.username} from ${user.role} to ${newRole}`,
+              targetId: id,
+              before: { role: user.role },
+              after: { role: newRole }
+            });
+          }
+
+          db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id], (getErr, updated) => res.json(updated));
+        }
+      );
+    });
   });
 });
 
-// Update setting
-app.post('/api/settings', (req, res) => {
-  const { key, value } = req.body;
-  
-  db.run(
-    'INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)',
-    [key, value],
-    function(err) {
+// Disable / enable account
+function setUserActive(active) {
+  return (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (!active && id === req.session.userId) {
+      res.status(400).json({ error: 'cannot_disable_self' });
+      return;
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
       if (err) {
-        console.error('❌ Error updating setting:', err.message);
+        console.error('❌ Error fetching user:', err.message);
         res.status(500).json({ error: err.message });
         return;
       }
-      res.json({ key, value });
+
+      if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return;
+      }
+
+      ensureOtherActiveLibrarian(id, (checkErr, hasOther) => {
+        if (!active && user.role === 'librarian' && !hasOther) {
+          res.status(400).json({ error: 'last_librarian' });
+          return;
+        }
+
+        dbWrite('UPDATE users SET active = ? WHERE id = ?', [active ? 1 : 0, id], function(updateErr) {
+          if (updateErr) {
+            console.error('❌ Error updating user:', updateErr.message);
+            res.status(500).json({ error: updateErr.message });
+            return;
+          }
+
+          if (!active) endUserSessions(id);
+
+          recordAudit(req, active ? 'USER_ENABLE' : 'USER_DISABLE', {
+            details: `${active ? 'Enabled' : 'Disabled'} ${user.username}`,
+            targetId: id,
+            before: { active: user.active },
+            after: { active: active ? 1 : 0 }
+          });
+          console.log(`✅ User ${user.username} ${active ? 'enabled' : 'disabled'}`);
+          db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id], (getErr, updated) => res.json(updated));
+        });
+      });
+    });
+  };
+}
+
+app.post('/api/users/:id/disable', requireRole('librarian'), setUserActive(false));
+app.post('/api/users/:id/enable', requireRole('librarian'), setUserActive(true));
+
+// Reset password to a temporary one that must be changed at next login
+app.post('/api/users/:id/reset-password', requireRole('librarian'), (req, res) => {
+  const id = parseInt(req.params.id);
+
+  db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
+    if (err) {
+      console.error('❌ Error fetching user:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
     }
-  );
+
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    const { salt, hash } = createPasswordHash(temporaryPassword);
+
+    dbWrite(
+      'UPDATE users SET passwordSalt = ?, passwordHash = ?, mustChangePassword = 1 WHERE id = ?',
+      [salt, hash, id],
+      function(updateErr) {
+        if (updateErr) {
+          console.error('❌ Error resetting password:', updateErr.message);
+          res.status(500).json({ error: updateErr.message });
+          return;
+        }
+
+        endUserSessions(id);
+        recordAudit(req, 'USER_PASSWORD_RESET', { details: `Reset the password of ${user.username}`, targetId: id });
+        console.log(`✅ Password reset for ${user.username}`);
+        res.json({ id, username: user.username, temporaryPassword });
+      }
+    );
+  });
+});
+
+// ==================== PHOTO STORAGE ====================
+
+// Student photos live on disk next to the database, one full-size JPEG and
+// one thumbnail per photo key. The tables only keep the key.
+const PHOTO_DIR = path.resolve('./photos');
+const PHOTO_SIZES = {
+  full: 1200, // longest side, plenty for a printed 2x2 ID photo
+  thumb: 200
+};
+
+fs.mkdirSync(PHOTO_DIR, { recursive: true });
+
+function photoPath(photoKey, size) {
+  return path.join(PHOTO_DIR, size === 'thumb' ? `${photoKey}_thumb.jpg` : `${photoKey}.jpg`);
+}
+
+function decodeDataUrl(dataUrl) {
+  const match = /^data:image\/[a-z+.-]+;base64,(.+)$/i.exec(dataUrl || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+function isDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+// Write to a temporary file first so a crash never leaves half a photo
+async function writeFileAtomic(filePath, buffer) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+async function resizeToJpeg(image, maxSide, quality) {
+  const copy = image.clone();
+  if (copy.width > maxSide || copy.height > maxSide) {
+    copy.scaleToFit({ w: maxSide, h: maxSide });
+  }
+  return copy.getBuffer('image/jpeg', { quality });
+}
+
+// Store an uploaded data URL as full-size + thumbnail JPEGs.
+// Resolves to the new photo key, or null when there is no photo.
+async function savePhoto(dataUrl) {
+  if (!dataUrl) return null;
+
+  const buffer = decodeDataUrl(dataUrl);
+  if (!buffer) throw new Error('invalid_photo');
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (err) {
+    throw new Error('invalid_photo');
+  }
+
+  const photoKey = crypto.randomBytes(16).toString('hex');
+  await writeFileAtomic(photoPath(photoKey, 'full'), await resizeToJpeg(image, PHOTO_SIZES.full, 90));
+  await writeFileAtomic(photoPath(photoKey, 'thumb'), await resizeToJpeg(image, PHOTO_SIZES.thumb, 80));
+  return photoKey;
+}
+
+async function deletePhoto(photoKey) {
+  if (!photoKey) return;
+
+  for (const size of Object.keys(PHOTO_SIZES)) {
+    try {
+      await fs.promises.unlink(photoPath(photoKey, size));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`❌ Error deleting photo ${photoKey}:`, err.message);
+      }
+    }
+  }
+}
+
+// A student's photo can be shared by their record, the archive and saved
+// revisions (a revert brings an old photo back), so the file goes only once
+// none of them refers to it any more
+async function releasePhoto(photoKey) {
+  if (!photoKey) return;
+
+  const inUse = await dbGet(
+    `SELECT 1 FROM students WHERE photoKey = ?
+     UNION ALL SELECT 1 FROM archived_students WHERE photoKey = ?
+     UNION ALL SELECT 1 FROM student_revisions WHERE photoKey = ?
+     LIMIT 1`,
+    [photoKey, photoKey, photoKey]
+  );
+  if (!inUse) await deletePhoto(photoKey);
+}
+
+// One-time move of base64 photos out of the given table. Rows are read one
+// at a time so a large table never has to fit in memory.
+async function migratePhotosToFiles(table) {
+  const rows = await dbAll(`SELECT id FROM ${table} WHERE photo IS NOT NULL AND photo != ''`);
+  if (rows.length === 0) return;
+
+  console.log(`📸 Moving ${rows.length} photos from ${table} to ${PHOTO_DIR}...`);
+  let moved = 0;
+
+  for (const { id } of rows) {
+    const row = await dbGet(`SELECT photo, photoKey FROM ${table} WHERE id = ?`, [id]);
+    try {
+      const photoKey = await savePhoto(row.photo);
+      await dbRun(`UPDATE ${table} SET photoKey = ?, photo = '' WHERE id = ?`, [photoKey, id]);
+      moved++;
+    } catch (err) {
+      // Leave the original data in place so nothing is lost
+      console.error(`❌ Could not move photo of ${table} #${id}:`, err.message);
+    }
+  }
+
+  console.log(`✅ Moved ${moved} of ${rows.length} photos from ${table}`);
+}
+
+// Shape a student row for API responses: the photo is referenced by URL
+// (versioned by key so browsers refetch after a change) instead of inlined.
+function presentStudent(row, basePath = '/api/students') {
+  if (!row) return row;
+
+  const { photo, photoKey, ...student } = row;
+  return {
+    ...student,
+    photoUrl: photoKey ? `${basePath}/${row.id}/photo?v=${photoKey.slice(0, 8)}` : null,
+    cardStatus: getCardStatus(row.cardExpiry)
+  };
+}
+
+function presentArchivedStudent(row) {
+  return presentStudent(row, '/api/archived');
+}
+
+function sendPhoto(table) {
+  return (req, res) => {
+    const size = req.query.size === 'thumb' ? 'thumb' : 'full';
+
+    db.get(`SELECT photoKey FROM ${table} WHERE id = ?`, [req.params.id], (err, row) => {
+      if (err) {
+        console.error('❌ Error fetching photo:', err.message);
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      if (!row || !row.photoKey) {
+        res.status(404).json({ error: 'Photo not found' });
+        return;
+      }
+
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+      res.sendFile(photoPath(row.photoKey, size), (sendErr) => {
+        if (sendErr && !res.headersSent) {
+          res.status(404).json({ error: 'Photo not found' });
+        }
+      });
+    });
+  };
+}
+
+// ==================== LIVE UPDATES ====================
+
+// Server-sent events so every station sees registrations and edits as they
+// happen. Events:
+//   student.created / student.updated  { student }
+//   student.archived                   { id, archived }
+//   student.restored                   { archivedId, student }
+//   student.deleted                    { archivedId }
+//   settings.updated                   { key, value }
+// Student events only go to signed-in stations; the kiosk gets public settings.
+const EVENT_HEARTBEAT_MS = 25000;
+const eventClients = new Set();
+let lastEventId = 0;
+
+function isSessionActive(token) {
+  const session = token && sessions.get(token);
+  return !!session && session.expiresAt >= Date.now();
+}
+
+function broadcast(type, data, { isPublic = false } = {}) {
+  const message = `id: ${++lastEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  for (const client of eventClients) {
+    if (isPublic || isSessionActive(client.token)) {
+      client.res.write(message);
+    }
+  }
+}
+
+// Comment lines keep proxies and idle browsers from dropping the stream
+setInterval(() => {
+  for (const client of eventClients) {
+    client.res.write(': ping\n\n');
+  }
+}, EVENT_HEARTBEAT_MS).unref();
+
+app.get('/api/events', (req, res) => {
+  const session = getSession(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, token: session ? session.token : null };
+  eventClients.add(client);
+  console.log(`📡 Live updates: station connected (${eventClients.size} open)`);
+
+  req.on('close', () => {
+    eventClients.delete(client);
+    console.log(`📡 Live updates: station disconnected (${eventClients.size} open)`);
+  });
+});
+
+// ==================== STUDENT LIST QUERIES ====================
+
+// Shared by GET /api/students and GET /api/archived:
+//   q        - text search across name, student number and course
+//   course, year, section, gender - exact filters
+//   hasPhoto - 1 for students with a photo, 0 for students without
+//   ids      - comma-separated record ids (a selection)
+//   cardStatus - expired, or expiring (within CARD_EXPIRING_SOON_DAYS)
+//   sort     - one of STUDENT_SORT_FIELDS, order - asc|desc
+//   page, limit - limit defaults to 50 (max 500); limit=all returns every match
+//   include=photo - embed the full-size photo as a data URL
+const STUDENT_SORT_FIELDS = ['registeredDateTime', 'name', 'studentNumber', 'course', 'year', 'section', 'cardExpiry', 'createdAt'];
+const STUDENT_FILTER_FIELDS = ['course', 'year', 'section', 'gender'];
+const HAS_PHOTO_SQL = "(photoKey IS NOT NULL AND photoKey != '')";
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function parseStudentListQuery(query, defaultOrder) {
+  const where = [];
+  const params = [];
+
+  const search = String(query.q || '').trim();
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    where.push("(name LIKE ? ESCAPE '\\' OR studentNumber LIKE ? ESCAPE '\\' OR course LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern, pattern);
+  }
+
+  STUDENT_FILTER_FIELDS.forEach(field => {
+    if (query[field]) {
+      where.push(`${field} = ?`);
+      params.push(String(query[field]));
+    }
+  });
+
+  const ids = String(query.ids || '').split(',').map(id => parseInt(id)).filter(Boolean);
+  if (ids.length > 0) {
+    where.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+
+  if (query.cardStatus === 'expired') {
+    where.push(CARD_EXPIRED_SQL);
+  } else if (query.cardStatus === 'expiring') {
+    where.push(CARD_EXPIRING_SQL);
+  }
+
+  if (query.hasPhoto === '1' || query.hasPhoto === 'true') {
+    where.push(HAS_PHOTO_SQL);
+  } else if (query.hasPhoto === '0' || query.hasPhoto === 'false') {
+    where.push(`NOT ${HAS_PHOTO_SQL}`);
+  }
+
+  let orderSql = defaultOrder;
+  if (STUDENT_SORT_FIELDS.includes(query.sort)) {
+    const direction = String(query.order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+    orderSql = `${query.sort} COLLATE NOCASE ${direction}, id ${direction}`;
+  }
+
+  const showAll = query.limit === 'all';
+  const limit = showAll ? null : Math.min(Math.max(parseInt(query.limit) || 50, 1), 500);
+  const page = showAll ? 1 : Math.max(parseInt(query.page) || 1, 1);
+
+  return {
+    whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '',
+    params,
+    orderSql,
+    page,
+    limit,
+    includePhoto: String(query.include || '').split(',').includes('photo')
+  };
+}
+
+async function photoDataUrl(photoKey) {
+  if (!photoKey) return null;
+
+  try {
+    const buffer = await fs.promises.readFile(photoPath(photoKey, 'full'));
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// One page of a student table, shaped like /api/activity: { items, total, page, limit }
+async function listStudents(table, query, defaultOrder, present) {
+  const { whereSql, params, orderSql, page, limit, includePhoto } = parseStudentListQuery(query, defaultOrder);
+
+  const count = await dbGet(`SELECT COUNT(*) AS total FROM ${table} ${whereSql}`, params);
+  const rows = limit === null
+    ? await dbAll(`SELECT * FROM ${table} ${whereSql} ORDER BY ${orderSql}`, params)
+    : await dbAll(`SELECT * FROM ${table} ${whereSql} ORDER BY ${orderSql} LIMIT ? OFFSET ?`, [...params, limit, (page - 1) * limit]);
+
+  const items = [];
+  for (const row of rows) {
+    const item = present(row);
+    if (includePhoto) {
+      item.photo = await photoDataUrl(row.photoKey);
+    }
+    items.push(item);
+  }
+
+  return { items, total: count.total, page, limit: limit === null ? count.total : limit };
+}
+
+// ==================== COURSES & SECTIONS ====================
+
+// Programs and sections are reference data managed by the librarian.
+// Students keep the course and section names (used by filters, labels and
+// exports) next to courseId/sectionId; renaming a course or section renames
+// it on its students too. Inactive entries stay valid on existing records
+// but are no longer offered for new registrations. Year levels run from
+// "1st Year" to the course's maxYears.
+const DEFAULT_COURSES = [
+  { name: 'BS Midwifery', abbreviation: 'BSM', maxYears: 4 },
+  { name: 'BS in Radiologic Technology', abbreviation: 'BSRT', maxYears: 4 },
+  { name: 'BS in Nursing', abbreviation: 'BSN', maxYears: 4 },
+  { name: 'BS in Medical Technology', abbreviation: 'BSMT', maxYears: 4 }
+];
+const DEFAULT_SECTIONS = ['A', 'B', 'C', 'D', 'E'];
+const MAX_COURSE_YEARS = 6;
+const MAX_COURSE_NAME_LENGTH = 100;
+const ABBREVIATION_PATTERN = /^[A-Z0-9]{1,10}$/;
+const SECTION_NAME_PATTERN = /^[A-Z0-9]([A-Z0-9 -]{0,18}[A-Z0-9])?$/;
+
+// Both tables are small, so they are cached here for the synchronous helpers
+// (validation, card labels, exports). Every write below reloads the cache.
+let referenceData = { courses: [], sections: [] };
+
+// 1 -> "1st Year", 2 -> "2nd Year", ...
+function yearLabel(number) {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[number] || 'th';
+  return `${number}${suffix} Year`;
+}
+
+function yearLabels(maxYears) {
+  return Array.from({ length: maxYears }, (_, index) => yearLabel(index + 1));
+}
+
+// "2nd Year" -> 2, or null when it is not a year label
+function yearNumber(label) {
+  const number = parseInt(label, 10);
+  return number > 0 && yearLabel(number) === label ? number : null;
+}
+
+function presentCourse(row) {
+  return { ...row, active: !!row.active, years: yearLabels(row.maxYears) };
+}
+
+function presentSection(row) {
+  return { ...row, active: !!row.active };
+}
+
+async function loadReferenceData() {
+  const courses = await dbAll(
+    `SELECT courses.*,
+            (SELECT COUNT(*) FROM students WHERE students.courseId = courses.id) AS studentCount
+     FROM courses ORDER BY sortOrder, name`
+  );
+  const sections = await dbAll(
+    `SELECT sections.*,
+            (SELECT COUNT(*) FROM students WHERE students.sectionId = sections.id) AS studentCount
+     FROM sections ORDER BY sortOrder, name`
+  );
+  referenceData = { courses: courses.map(presentCourse), sections: sections.map(presentSection) };
+  return referenceData;
+}
+
+function findCourse(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return referenceData.courses.find(course => course.name.toLowerCase() === key) || null;
+}
+
+function findSection(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return referenceData.sections.find(section => section.name.toLowerCase() === key) || null;
+}
+
+function getCourseAbbreviation(courseName) {
+  const course = findCourse(courseName);
+  return course ? course.abbreviation : courseName;
+}
+
+// First start: create the programs and sections the form used to hardcode,
+// then link existing records to them by name
+async function seedReferenceData() {
+  const courses = await dbGet('SELECT COUNT(*) AS count FROM courses');
+  if (courses.count === 0) {
+    for (const [index, course] of DEFAULT_COURSES.entries()) {
+      await dbRun('INSERT INTO courses (name, abbreviation, maxYears, sortOrder) VALUES (?, ?, ?, ?)',
+        [course.name, course.abbreviation, course.maxYears, index + 1]);
+    }
+    console.log('✅ Default courses created');
+  }
+
+  const sections = await dbGet('SELECT COUNT(*) AS count FROM sections');
+  if (sections.count === 0) {
+    for (const [index, name] of DEFAULT_SECTIONS.entries()) {
+      await dbRun('INSERT INTO sections (name, sortOrder) VALUES (?, ?)', [name, index + 1]);
+    }
+    console.log('✅ Default sections created');
+  }
+
+  for (const table of ['students', 'archived_students']) {
+    await dbRun(`UPDATE ${table} SET courseId = (SELECT id FROM courses WHERE courses.name = ${table}.course COLLATE NOCASE) WHERE courseId IS NULL`);
+    await dbRun(`UPDATE ${table} SET sectionId = (SELECT id FROM sections WHERE sections.name = ${table}.section COLLATE NOCASE) WHERE sectionId IS NULL`);
+  }
+}
+
+// Clean up a course from the request body. Returns { course, fields } with
+// the same per-field codes as student validation.
+function readCourse(body, existing = {}) {
+  const fields = {};
+  const pick = field => (body[field] !== undefined ? body[field] : existing[field]);
+  const course = {
+    name: String(pick('name') ?? '').trim().replace(/\s+/g, ' '),
+    abbreviation: String(pick('abbreviation') ?? '').trim().toUpperCase(),
+    maxYears: parseInt(pick('maxYears') ?? 4, 10),
+    active: pick('active') === undefined ? 1 : (pick('active') ? 1 : 0),
+    sortOrder: parseInt(pick('sortOrder'), 10) || 0
+  };
+
+  if (!course.name) fields.name = 'required';
+  else if (course.name.length > MAX_COURSE_NAME_LENGTH) fields.name = 'too_long';
+  if (!course.abbreviation) fields.abbreviation = 'required';
+  else if (!ABBREVIATION_PATTERN.test(course.abbreviation)) fields.abbreviation = 'invalid_format';
+  if (!(course.maxYears >= 1 && course.maxYears <= MAX_COURSE_YEARS)) fields.maxYears = 'out_of_range';
+
+  return { course, fields };
+}
+
+function readSection(body, existing = {}) {
+  const fields = {};
+  const pick = field => (body[field] !== undefined ? body[field] : existing[field]);
+  const section = {
+    name: String(pick('name') ?? '').trim().toUpperCase().replace(/^SECTION\s*/, ''),
+    active: pick('active') === undefined ? 1 : (pick('active') ? 1 : 0),
+    sortOrder: parseInt(pick('sortOrder'), 10) || 0
+  };
+
+  if (!section.name) fields.name = 'required';
+  else if (!SECTION_NAME_PATTERN.test(section.name)) fields.name = 'invalid_format';
+
+  return { section, fields };
+}
+
+function sendReferenceError(res, err, label) {
+  console.error(`❌ Error ${label}:`, err.message);
+  res.status(500).json({ error: err.message });
+}
+
+// Reload the cache and tell open pages to refresh their pick lists
+async function referenceDataChanged() {
+  await loadReferenceData();
+  broadcast('reference.updated', {}, { isPublic: true });
+}
+
+// ---- Courses ----
+
+// Public: the registration form needs the list. Pass ?active=1 for the
+// courses offered to new registrations only.
+app.get('/api/courses', async (req, res) => {
+  try {
+    const { courses } = await loadReferenceData();
+    res.json(req.query.active === '1' ? courses.filter(course => course.active) : courses);
+  } catch (err) {
+    sendReferenceError(res, err, 'fetching courses');
+  }
+});
+
+app.post('/api/courses', requireRole('librarian'), async (req, res) => {
+  const { course, fields } = readCourse(req.body || {});
+  if (Object.keys(fields).length > 0) {
+    sendValidationError(res, fields);
+    return;
+  }
+
+  try {
+    const clash = await dbGet('SELECT id, name, abbreviation FROM courses WHERE name = ? OR abbreviation = ?', [course.name, course.abbreviation]);
+    if (clash) {
+      res.status(409).json({ error: 'duplicate', field: clash.name.toLowerCase() === course.name.toLowerCase() ? 'name' : 'abbreviation' });
+      return;
+    }
+
+    if (!course.sortOrder) {
+      const last = await dbGet('SELECT COALESCE(MAX(sortOrder), 0) AS sortOrder FROM courses');
+      course.sortOrder = last.sortOrder + 1;
+    }
+    const result = await dbRun(
+      'INSERT INTO courses (name, abbreviation, maxYears, active, sortOrder) VALUES (?, ?, ?, ?, ?)',
+      [course.name, course.abbreviation, course.maxYears, course.active, course.sortOrder]
+    );
+    await referenceDataChanged();
+    const created = referenceData.courses.find(row => row.id === result.lastID);
+
+    recordAudit(req, 'COURSE_CREATE', { details: `Added course ${created.name} (${created.abbreviation})`, after: created });
+    console.log(`✅ Course added: ${created.name}`);
+    res.status(201).json(created);
+  } catch (err) {
+    sendReferenceError(res, err, 'adding course');
+  }
+});
+
+// Update a course. A new name is applied to its students and archived
+// records, and to the loan period configured for it.
+app.put('/api/courses/:id', requireRole('librarian'), async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: 'course_not_found' });
+      return;
+    }
+
+    const { course, fields } = readCourse(req.body || {}, existing);
+    if (Object.keys(fields).length > 0) {
+      sendValidationError(res, fields);
+      return;
+    }
+    const clash = await dbGet('SELECT id, name FROM courses WHERE (name = ? OR abbreviation = ?) AND id != ?', [course.name, course.abbreviation, existing.id]);
+    if (clash) {
+      res.status(409).json({ error: 'duplicate', field: clash.name.toLowerCase() === course.name.toLowerCase() ? 'name' : 'abbreviation' });
+      return;
+    }
+
+    const renamed = course.name !== existing.name;
+    await withTransaction(async () => {
+      await dbRun(
+        'UPDATE courses SET name = ?, abbreviation = ?, maxYears = ?, active = ?, sortOrder = ? WHERE id = ?',
+        [course.name, course.abbreviation, course.maxYears, course.active, course.sortOrder, existing.id]
+      );
+      if (renamed) {
+        await dbRun('UPDATE students SET course = ? WHERE courseId = ?', [course.name, existing.id]);
+        await dbRun('UPDATE archived_students SET course = ? WHERE courseId = ?', [course.name, existing.id]);
+
+        const policy = await getCirculationPolicy();
+        if (policy.byCourse[existing.name] !== undefined) {
+          policy.byCourse[course.name] = policy.byCourse[existing.name];
+          delete policy.byCourse[existing.name];
+          await dbRun('INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)', ['circulation-policy', JSON.stringify(policy)]);
+        }
+      }
+    });
+    await referenceDataChanged();
+    const updated = referenceData.courses.find(row => row.id === existing.id);
+
+    recordAudit(req, 'COURSE_UPDATE', {
+      details: renamed ? `Renamed course ${existing.name} to ${updated.name}` : `Updated course ${updated.name}`,
+      before: presentCourse(existing),
+      after: updated
+    });
+    res.json(updated);
+  } catch (err) {
+    sendReferenceError(res, err, 'updating course');
+  }
+});
+
+// Courses that students (active or archived) are enrolled in can only be
+// deactivated, not deleted
+app.delete('/api/courses/:id', requireRole('librarian'), async (req, res) => {
+  try {
+    const course = await dbGet('SELECT * FROM courses WHERE id = ?', [req.params.id]);
+    if (!course) {
+      res.status(404).json({ error: 'course_not_found' });
+      return;
+    }
+    const usage = await dbGet(
+      `SELECT (SELECT COUNT(*) FROM students WHERE courseId = ?) +
+              (SELECT COUNT(*) FROM archived_students WHERE courseId = ?) AS count`,
+      [course.id, course.id]
+    );
+    if (usage.count > 0) {
+      res.status(409).json({ error: 'in_use', count: usage.count });
+      return;
+    }
+
+    await dbRun('DELETE FROM courses WHERE id = ?', [course.id]);
+    await referenceDataChanged();
+    recordAudit(req, 'COURSE_DELETE', { details: `Deleted course ${course.name}`, before: presentCourse(course) });
+    res.json({ message: 'Course deleted' });
+  } catch (err) {
+    sendReferenceError(res, err, 'deleting course');
+  }
+});
+
+// ---- Sections ----
+
+app.get('/api/sections', async (req, res) => {
+  try {
+    const { sections } = await loadReferenceData();
+    res.json(req.query.active === '1' ? sections.filter(section => section.active) : sections);
+  } catch (err) {
+    sendReferenceError(res, err, 'fetching sections');
+  }
+});
+
+app.post('/api/sections', requireRole('librarian'), async (req, res) => {
+  const { section, fields } = readSection(req.body || {});
+  if (Object.keys(fields).length > 0) {
+    sendValidationError(res, fields);
+    return;
+  }
+
+  try {
+    const clash = await dbGet('SELECT id FROM sections WHERE name = ?', [section.name]);
+    if (clash) {
+      res.status(409).json({ error: 'duplicate', field: 'name' });
+      return;
+    }
+
+    if (!section.sortOrder) {
+      const last = await dbGet('SELECT COALESCE(MAX(sortOrder), 0) AS sortOrder FROM sections');
+      section.sortOrder = last.sortOrder + 1;
+    }
+    const result = await dbRun('INSERT INTO sections (name, active, sortOrder) VALUES (?, ?, ?)', [section.name, section.active, section.sortOrder]);
+    await referenceDataChanged();
+    const created = referenceData.sections.find(row => row.id === result.lastID);
+
+    recordAudit(req, 'SECTION_CREATE', { details: `Added section ${created.name}`, after: created });
+    res.status(201).json(created);
+  } catch (err) {
+    sendReferenceError(res, err, 'adding section');
+  }
+});
+
+app.put('/api/sections/:id', requireRole('librarian'), async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: 'section_not_found' });
+      return;
+    }
+
+    const { section, fields } = readSection(req.body || {}, existing);
+    if (Object.keys(fields).length > 0) {
+      sendValidationError(res, fields);
+      return;
+    }
+    const clash = await dbGet('SELECT id FROM sections WHERE name = ? AND id != ?', [section.name, existing.id]);
+    if (clash) {
+      res.status(409).json({ error: 'duplicate', field: 'name' });
+      return;
+    }
+
+    const renamed = section.name !== existing.name;
+    await withTransaction(async () => {
+      await dbRun('UPDATE sections SET name = ?, active = ?, sortOrder = ? WHERE id = ?', [section.name, section.active, section.sortOrder, existing.id]);
+      if (renamed) {
+        await dbRun('UPDATE students SET section = ? WHERE sectionId = ?', [section.name, existing.id]);
+        await dbRun('UPDATE archived_students SET section = ? WHERE sectionId = ?', [section.name, existing.id]);
+      }
+    });
+    await referenceDataChanged();
+    const updated = referenceData.sections.find(row => row.id === existing.id);
+
+    recordAudit(req, 'SECTION_UPDATE', {
+      details: renamed ? `Renamed section ${existing.name} to ${updated.name}` : `Updated section ${updated.name}`,
+      before: presentSection(existing),
+      after: updated
+    });
+    res.json(updated);
+  } catch (err) {
+    sendReferenceError(res, err, 'updating section');
+  }
+});
+
+app.delete('/api/sections/:id', requireRole('librarian'), async (req, res) => {
+  try {
+    const section = await dbGet('SELECT * FROM sections WHERE id = ?', [req.params.id]);
+    if (!section) {
+      res.status(404).json({ error: 'section_not_found' });
+      return;
+    }
+    const usage = await dbGet(
+      `SELECT (SELECT COUNT(*) FROM students WHERE sectionId = ?) +
+              (SELECT COUNT(*) FROM archived_students WHERE sectionId = ?) AS count`,
+      [section.id, section.id]
+    );
+    if (usage.count > 0) {
+      res.status(409).json({ error: 'in_use', count: usage.count });
+      return;
+    }
+
+    await dbRun('DELETE FROM sections WHERE id = ?', [section.id]);
+    await referenceDataChanged();
+    recordAudit(req, 'SECTION_DELETE', { details: `Deleted section ${section.name}`, before: presentSection(section) });
+    res.json({ message: 'Section deleted' });
+  } catch (err) {
+    sendReferenceError(res, err, 'deleting section');
+  }
+});
+
+// ==================== STUDENT VALIDATION ====================
+
+// One set of rules for every way a student record is written: registration,
+// staff edits and spreadsheet import. validateStudent() returns the cleaned-up
+// record and a { field: code } map of problems; the routes answer 422 with
+// { error: 'validation', fields } so the form can highlight each field.
+//
+// Codes: required, invalid_choice, invalid_format, too_long, invalid_email,
+// invalid_phone, invalid_date, out_of_range
+
+const STUDENT_GENDERS = ['Male', 'Female'];
+const STUDENT_REQUIRED_FIELDS = ['studentNumber', 'name', 'gender', 'course', 'year', 'section'];
+
+// e.g. 2023-00123 or SA1234: letters and digits, optionally in dash-separated groups
+const STUDENT_NUMBER_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)*$/;
+const STUDENT_NUMBER_LENGTH = { min: 3, max: 20 };
+const NAME_PATTERN = /^[\p{L}][\p{L} .,'-]*$/u;
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+// Philippine mobile numbers: 09XXXXXXXXX, +639XXXXXXXXX or 639XXXXXXXXX
+const PH_MOBILE_PATTERN = /^(?:\+?63|0)(9\d{9})$/;
+const BIRTHDAY_AGE_YEARS = { min: 10, max: 100 };
+const CARD_EXPIRY_RANGE_YEARS = 10;
+
+function validateStudent(payload) {
+  const fields = {};
+  const text = field => String(payload[field] ?? '').trim();
+  const student = {
+    studentNumber: text('studentNumber').toUpperCase(),
+    name: text('name').replace(/\s+/g, ' ').toUpperCase(),
+    gender: text('gender'),
+    course: text('course'),
+    year: text('year'),
+    section: text('section').toUpperCase(),
+    email: text('email'),
+    phone: text('phone').replace(/[\s()-]/g, ''),
+    birthday: text('birthday'),
+    cardExpiry: text('cardExpiry')
+  };
+
+  STUDENT_REQUIRED_FIELDS.forEach(field => {
+    if (!student[field]) fields[field] = 'required';
+  });
+
+  if (student.studentNumber && !fields.studentNumber) {
+    const { length } = student.studentNumber;
+    if (length < STUDENT_NUMBER_LENGTH.min || length > STUDENT_NUMBER_LENGTH.max) {
+      fields.studentNumber = length > STUDENT_NUMBER_LENGTH.max ? 'too_long' : 'invalid_format';
+    } else if (!STUDENT_NUMBER_PATTERN.test(student.studentNumber)) {
+      fields.studentNumber = 'invalid_format';
+    }
+  }
+
+  if (student.name.length > MAX_NAME_LENGTH) {
+    fields.name = 'too_long';
+  } else if (student.name && !NAME_PATTERN.test(student.name)) {
+    fields.name = 'invalid_format';
+  }
+
+  // Course, year and section come from the reference tables (see COURSES &
+  // SECTIONS); the year must be within the course's maxYears
+  if (student.gender && !STUDENT_GENDERS.includes(student.gender)) fields.gender = 'invalid_choice';
+
+  const course = findCourse(student.course);
+  if (course) student.course = course.name;
+  if (student.course && !(course && course.active)) fields.course = 'invalid_choice';
+  student.courseId = course ? course.id : null;
+
+  const year = yearNumber(student.year);
+  if (student.year && !(year && year <= (course ? course.maxYears : MAX_COURSE_YEARS))) fields.year = 'invalid_choice';
+
+  const section = findSection(student.section);
+  if (section) student.section = section.name;
+  if (student.section && !(section && section.active)) fields.section = 'invalid_choice';
+  student.sectionId = section ? section.id : null;
+
+  if (student.email.length > MAX_EMAIL_LENGTH) {
+    fields.email = 'too_long';
+  } else if (student.email && !EMAIL_PATTERN.test(student.email)) {
+    fields.email = 'invalid_email';
+  }
+
+  if (student.phone) {
+    const match = PH_MOBILE_PATTERN.exec(student.phone);
+    if (match) student.phone = `0${match[1]}`;
+    else fields.phone = 'invalid_phone';
+  }
+
+  // Birthdays must put the student between BIRTHDAY_AGE_YEARS old today;
+  // card expiry dates must fall within CARD_EXPIRY_RANGE_YEARS of today
+  const today = localToday();
+  const dateRanges = {
+    birthday: [addMonths(today, -12 * BIRTHDAY_AGE_YEARS.max), addMonths(today, -12 * BIRTHDAY_AGE_YEARS.min)],
+    cardExpiry: [addMonths(today, -12 * CARD_EXPIRY_RANGE_YEARS), addMonths(today, 12 * CARD_EXPIRY_RANGE_YEARS)]
+  };
+  Object.keys(dateRanges).forEach(field => {
+    const value = student[field];
+    if (!value) return;
+    const [earliest, latest] = dateRanges[field];
+    if (!isIsoDate(value) || !new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)) {
+      fields[field] = 'invalid_date';
+    } else if (value < earliest || value > latest) {
+      fields[field] = 'out_of_range';
+    }
+  });
+
+  return { student, fields };
+}
+
+// Records saved before these rules existed, or in a course or section that
+// has since been deactivated, may not pass them. When editing,
+// a field the client sends back unchanged is left alone so that fixing one
+// field does not require fixing every other one first.
+function validateStudentUpdate(payload, existing) {
+  const { student, fields } = validateStudent(payload);
+  Object.keys(fields).forEach(field => {
+    if (String(payload[field] ?? '').trim() === String(existing[field] ?? '').trim()) {
+      student[field] = existing[field];
+      delete fields[field];
+    }
+  });
+  if (student.courseId === null) student.courseId = existing.courseId ?? null;
+  if (student.sectionId === null) student.sectionId = existing.sectionId ?? null;
+  return { student, fields };
+}
+
+function sendValidationError(res, fields) {
+  console.log('⚠️ Validation failed:', fields);
+  res.status(422).json({ error: 'validation', fields });
+}
+
+// ==================== STUDENT ENDPOINTS ====================
+
+// List students (see STUDENT LIST QUERIES for parameters). New registrations
+// come first, then the most recently registered.
+app.get('/api/students', requireAuth, async (req, res) => {
+  console.log('📊 GET /api/students - Fetching students...');
+
+  try {
+    const result = await listStudents('students', req.query, 'isNew DESC, registeredDateTime DESC, id DESC', row => presentStudent(row));
+    console.log(`✅ Fetched ${result.items.length} of ${result.total} students`);
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Error fetching students:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// byCourse, byCourseYear, byGender and bySection counts of the rows selected
+// by `fromSql` ("FROM table WHERE ..."), as the dashboard statistics use them
+async function countBreakdowns(fromSql, params = []) {
+  const courseYears = await dbAll(`SELECT course, year, COUNT(*) AS count ${fromSql} GROUP BY course, year`, params);
+  const genders = await dbAll(`SELECT gender, COUNT(*) AS count ${fromSql} GROUP BY gender`, params);
+  const sections = await dbAll(`SELECT section, COUNT(*) AS count ${fromSql} GROUP BY section`, params);
+
+  const byCourse = {};
+  const byCourseYear = {};
+  courseYears.forEach(({ course, year, count }) => {
+    byCourse[course] = (byCourse[course] || 0) + count;
+    byCourseYear[course] = { ...byCourseYear[course], [year]: count };
+  });
+
+  const countBy = (rows, field) => rows.reduce((acc, row) => {
+    if (row[field]) acc[row[field]] = row.count;
+    return acc;
+  }, {});
+
+  return { byCourse, byCourseYear, byGender: countBy(genders, 'gender'), bySection: countBy(sections, 'section') };
+}
+
+// Counts for the dashboard, so the browser does not need every student
+app.get('/api/students/summary', requireAuth, async (req, res) => {
+  try {
+    const totals = await dbGet(
+      `SELECT COUNT(*) AS total,
+              COALESCE(SUM(CASE WHEN isNew THEN 1 ELSE 0 END), 0) AS newCount,
+              COALESCE(SUM(CASE WHEN date(registeredDateTime, 'localtime') = ${TODAY_SQL} THEN 1 ELSE 0 END), 0) AS registeredToday,
+              COALESCE(SUM(CASE WHEN date(registeredDateTime, 'localtime') > date('now', 'localtime', '-7 days') THEN 1 ELSE 0 END), 0) AS registeredThisWeek,
+              COALESCE(SUM(CASE WHEN ${HAS_PHOTO_SQL} THEN 1 ELSE 0 END), 0) AS withPhotos,
+              COALESCE(SUM(CASE WHEN COALESCE(email, '') = '' OR COALESCE(phone, '') = '' OR COALESCE(birthday, '') = '' THEN 1 ELSE 0 END), 0) AS incomplete,
+              COALESCE(SUM(CASE WHEN ${CARD_EXPIRED_SQL} THEN 1 ELSE 0 END), 0) AS expiredCards,
+              COALESCE(SUM(CASE WHEN ${CARD_EXPIRING_SQL} THEN 1 ELSE 0 END), 0) AS expiringCards
+       FROM students`
+    );
+    res.json({
+      ...totals,
+      missingPhotos: totals.total - totals.withPhotos,
+      ...(await countBreakdowns('FROM students'))
+    });
+  } catch (err) {
+    console.error('❌ Error summarizing students:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Student photo (?size=thumb|full)
+app.get('/api/students/:id/photo', requireAuth, sendPhoto('students'));
+
+// Validate and insert a new registration. Shared by POST /api/students and
+// the review of offline registrations. Rejects with httpError 422
+// (validation), 400 duplicate (with the registered student) or 400
+// invalid_photo; resolves to the new student.
+async function registerStudent(req, payload, offlineId = null) {
+  const { student: cleaned, fields } = validateStudent(payload);
+  const student = { ...payload, ...cleaned };
+  
+  console.log('📝 POST /api/students - Registration attempt:', {
+    name: student.name,
+    studentNumber: student.studentNumber,
+    course: student.course,
+    hasPhoto: !!student.photo
+  });
+
+  if (Object.keys(fields).length > 0) {
+    console.log('⚠️ Validation failed:', fields);
+    throw httpError(422, 'validation', { fields });
+  }
+  
+  // Check for duplicate student number
+  const row = await dbGet('SELECT * FROM students WHERE studentNumber = ?', [student.studentNumber]);
+  if (row) {
+    console.log('⚠️ Duplicate student number:', student.studentNumber);
+    recordAudit(req, 'DUPLICATE_ATTEMPT', {
+      details: `Duplicate: ${student.studentNumber}`,
+      targetId: row.id,
+      studentNumber: student.studentNumber
+    });
+    throw httpError(400, 'duplicate', { student: presentStudent(row) });
+  }
+  
+  // The photo is written to disk first; only its key goes into the table.
+  // Without an expiry date the card runs for the configured renewal term.
+  let photoKey;
+  try {
+    photoKey = await savePhoto(student.photo);
+  } catch (photoErr) {
+    console.error('❌ Error saving photo:', photoErr.message);
+    throw httpError(400, 'invalid_photo');
+  }
+  const cardExpiry = student.cardExpiry || await defaultCardExpiry();
+
+  const sql = `
+    INSERT INTO students 
+    (studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday, cardExpiry, photoKey,
+     registeredDate, registeredTime, registeredDateTime, isNew, offlineId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  
+  const params = [
+    student.studentNumber || '',
+    student.name || '',
+    student.gender || '',
+    student.course || '',
+    student.year || '',
+    student.section || '',
+    student.courseId,
+    student.sectionId,
+    student.email || '',
+    student.phone || '',
+    student.birthday || '',
+    cardExpiry,
+    photoKey,
+    student.registeredDate || '',
+    student.registeredTime || '',
+    student.registeredDateTime || new Date().toISOString(),
+    1, // isNew
+    offlineId
+  ];
+  
+  let id;
+  try {
+    id = (await dbRun(sql, params)).lastID;
+  } catch (insertErr) {
+    console.error('❌ Database error (insert):', insertErr.message);
+    deletePhoto(photoKey);
+    throw insertErr;
+  }
+
+  const inserted = await dbGet('SELECT * FROM students WHERE id = ?', [id]);
+  const newStudent = presentStudent(inserted);
+
+  recordAudit(req, 'NEW_REGISTRATION', {
+    details: `New: ${student.name} (${student.studentNumber}) - ${student.course} ${student.year}-${student.section || '?'}` +
+      (offlineId ? ' (registered offline)' : ''),
+    targetId: id,
+    studentNumber: student.studentNumber,
+    before: null,
+    after: newStudent
+  });
+  broadcast('student.created', { student: newStudent });
+  queueStudentEmail('registration', inserted);
+  flagDuplicatesOf({ ...inserted, type: 'student' }).catch(err => console.error('❌ Error checking for duplicates:', err.message));
+
+  console.log('✅ Student registered successfully:', {
+    id,
+    name: student.name,
+    studentNumber: student.studentNumber
+  });
+  return newStudent;
+}
+
+// Add new student. Registrations queued by an offline kiosk carry
+// offline: { id, queuedAt }; see OFFLINE REGISTRATIONS for how their
+// duplicates and validation errors are handled.
+app.post('/api/students', (req, res) => {
+  const payload = req.body || {};
+  const offline = payload.offline && typeof payload.offline.id === 'string' ? payload.offline : null;
+
+  const registration = offline ? registerOfflineStudent(req, payload, offline) : registerStudent(req, payload);
+  registration.then(result => {
+    res.status(result.status || 201).json(result.body || result);
+  }, err => {
+    if (!err.status) console.error('❌ Error registering student:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  });
+});
+
+// Validate and save an update to a student record. Shared by PUT
+// /api/students/:id and approved change requests, so both follow the same
+// rules. The previous version is kept in student_revisions, tagged with
+// `source`; a revert passes the `photoKey` of the revision it brings back.
+// Rejects with httpError 422 (validation) or 400 (invalid_photo); resolves
+// to the updated student.
+async function applyStudentUpdate(req, existing, payload, { source = 'update', photoKey: revisionPhotoKey } = {}) {
+  // The student number is fixed once registered
+  const { student: cleaned, fields } = validateStudentUpdate({ ...payload, studentNumber: existing.studentNumber }, existing);
+  if (Object.keys(fields).length > 0) {
+    throw httpError(422, 'validation', { fields });
+  }
+
+  // photo: a data URL replaces the photo, '' or null removes it, anything
+  // else (such as the photoUrl the client was given) keeps the current one
+  const replacingPhoto = isDataUrl(payload.photo);
+  const removingPhoto = payload.photo === '' || payload.photo === null;
+  let photoKey = removingPhoto ? null : existing.photoKey;
+  if (revisionPhotoKey !== undefined) {
+    photoKey = revisionPhotoKey;
+  } else if (replacingPhoto) {
+    try {
+      photoKey = await savePhoto(payload.photo);
+    } catch (photoErr) {
+      console.error('❌ Error saving photo:', photoErr.message);
+      throw httpError(400, 'invalid_photo');
+    }
+  }
+
+  const updated = {
+    name: cleaned.name,
+    gender: cleaned.gender,
+    course: cleaned.course,
+    year: cleaned.year,
+    section: cleaned.section,
+    courseId: cleaned.courseId,
+    sectionId: cleaned.sectionId,
+    email: cleaned.email,
+    phone: cleaned.phone,
+    birthday: cleaned.birthday,
+    cardExpiry: cleaned.cardExpiry,
+    photoKey,
+    isNew: payload.isNew ? 1 : 0
+  };
+
+  try {
+    await withTransaction(() => saveStudentUpdate(req, existing, updated, source));
+  } catch (updateErr) {
+    if (replacingPhoto) deletePhoto(photoKey);
+    throw updateErr;
+  }
+  pruneRevisions(existing.id).catch(err => console.error('❌ Error pruning revisions:', err.message));
+
+  if (existing.photoKey !== photoKey) releasePhoto(existing.photoKey);
+
+  recordAudit(req, 'UPDATE', {
+    details: `Updated: ${updated.name} (${existing.studentNumber})`,
+    targetId: existing.id,
+    studentNumber: existing.studentNumber,
+    before: existing,
+    after: updated
+  });
+
+  const student = presentStudent(await dbGet('SELECT * FROM students WHERE id = ?', [existing.id]));
+  broadcast('student.updated', { student });
+  return student;
+}
+
+// Write `updated` over the student `existing`, keeping its previous version
+// as a revision. Call inside withTransaction.
+async function saveStudentUpdate(req, existing, updated, source) {
+  await saveRevision(req, existing, updated, source);
+
+  const sql = `
+    UPDATE students 
+    SET name = ?, gender = ?, course = ?, year = ?, section = ?, courseId = ?, sectionId = ?,
+        email = ?, phone = ?, birthday = ?, cardExpiry = ?, photoKey = ?, isNew = ?
+    WHERE id = ?
+  `;
+  
+  const params = [
+    updated.name,
+    updated.gender,
+    updated.course,
+    updated.year,
+    updated.section,
+    updated.courseId,
+    updated.sectionId,
+    updated.email,
+    updated.phone,
+    updated.birthday,
+    updated.cardExpiry,
+    updated.photoKey,
+    updated.isNew,
+    existing.id
+  ];
+  await dbRun(sql, params);
+}
+
+// Update student
+app.put('/api/students/:id', requireRole(...STAFF_ROLES), (req, res) => {
+  const { id } = req.params;
+  
+  console.log(`📝 PUT /api/students/${id} - Updating student...`);
+  
+  db.get('SELECT * FROM students WHERE id = ?', [id], (err, existing) => {
+    if (err) {
+      console.error('❌ Error fetching student for update:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    if (!existing) {
+      console.log('⚠️ Student not found:', id);
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    applyStudentUpdate(req, existing, req.body).then(student => {
+      console.log(`✅ Student ${id} updated successfully`);
+      res.json(student);
+    }, updateErr => {
+      if (!updateErr.status) console.error('❌ Error updating student:', updateErr.message);
+      res.status(updateErr.status || 500).json(updateErr.body || { error: updateErr.message });
+    });
+  });
+});
+
+// Delete (Archive) student
+app.delete('/api/students/:id', requireRole(...STAFF_ROLES), (req, res) => {
+  const { id } = req.params;
+  
+  console.log(`🗑️ DELETE /api/students/${id} - Archiving student...`);
+  
+  const archiveStudent = (student, loans) => {
+    const archiveSql = `
+      INSERT INTO archived_students 
+      (originalId, studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday, 
+       cardExpiry, photoKey, registeredDate, registeredTime, registeredDateTime, archivedDate, archivedTime)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const now = new Date();
+    const archiveParams = [
+      student.id,
+      student.studentNumber,
+      student.name,
+      student.gender,
+      student.course,
+      student.year,
+      student.section,
+      student.courseId,
+      student.sectionId,
+      student.email,
+      student.phone,
+      student.birthday,
+      student.cardExpiry,
+      student.photoKey,
+      student.registeredDate,
+      student.registeredTime,
+      student.registeredDateTime,
+      now.toLocaleDateString(),
+      now.toLocaleTimeString()
+    ];
+    
+    // The copy and the delete commit together, so a failure in between
+    // cannot leave the student in both tables or in neither
+    withTransaction(async () => {
+      const archived = await dbRun(archiveSql, archiveParams);
+      const deleted = await dbRun('DELETE FROM students WHERE id = ?', [student.id]);
+      if (deleted.changes === 0) throw httpError(404, 'Student not found'); // archived meanwhile
+      return archived.lastID;
+    }).then(archivedId => {
+      recordAudit(req, 'ARCHIVE', {
+        details: `Archived: ${student.name} (${student.studentNumber}) as archive #${archivedId}` +
+          (loans.length > 0 ? ` with ${loans.length} outstanding loans` : ''),
+        targetId: student.id,
+        studentNumber: student.studentNumber,
+        before: student,
+        after: null
+      });
+
+      db.get('SELECT * FROM archived_students WHERE id = ?', [archivedId], (getErr, row) => {
+        broadcast('student.archived', { id: student.id, archived: presentArchivedStudent(row) });
+      });
+
+      console.log(`✅ Student ${id} archived successfully`);
+      res.json({ message: 'Student archived successfully' });
+    }, archiveErr => {
+      console.error('❌ Error archiving student:', archiveErr.message);
+      res.status(archiveErr.status || 500).json(archiveErr.body || { error: archiveErr.message });
+    });
+  };
+
+  // First get the student
+  db.get('SELECT * FROM students WHERE id = ?', [id], (err, student) => {
+    if (err) {
+      console.error('❌ Error fetching student for archive:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!student) {
+      console.log('⚠️ Student not found:', id);
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    // Books still out block the archive unless the caller confirms with ?force=1
+    getOutstandingLoans(student.id).then(loans => {
+      if (loans.length > 0 && req.query.force !== '1') {
+        console.log(`⚠️ ${student.studentNumber} has ${loans.length} outstanding loans`);
+        res.status(409).json({ error: 'outstanding_loans', loans });
+        return;
+      }
+      archiveStudent(student, loans);
+    }, loanErr => {
+      console.error('❌ Error checking loans:', loanErr.message);
+      res.status(500).json({ error: loanErr.message });
+    });
+  });
+});
+
+// ==================== STUDENT REVISIONS ====================
+
+// Every update through applyStudentUpdate first saves the record as it was,
+// so an accidental edit (or photo replacement) can be compared and reverted.
+// Revisions are numbered per student; only the newest MAX_REVISIONS are kept.
+const REVISION_FIELDS = [
+  'name', 'gender', 'course', 'year', 'section', 'courseId', 'sectionId',
+  'email', 'phone', 'birthday', 'cardExpiry', 'photoKey'
+];
+const MAX_REVISIONS = 50;
+
+function pickRevisionFields(row) {
+  const picked = {};
+  REVISION_FIELDS.forEach(field => { picked[field] = row[field] ?? null; });
+  return picked;
+}
+
+// Saves `existing` as the next revision unless the update leaves every
+// tracked field as it was (e.g. marking a registration as viewed)
+async function saveRevision(req, existing, updated, source) {
+  const before = pickRevisionFields(existing);
+  if (Object.keys(diffFields(before, pickRevisionFields({ ...existing, ...updated }))).length === 0) return null;
+
+  const { photoKey, ...data } = before;
+  const { next } = await dbGet('SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM student_revisions WHERE studentId = ?', [existing.id]);
+  await dbRun(
+    'INSERT INTO student_revisions (studentId, revision, data, photoKey, source, changedBy) VALUES (?, ?, ?, ?, ?, ?)',
+    [existing.id, next, JSON.stringify(data), photoKey, source, req && req.session ? req.session.username : null]
+  );
+  return next;
+}
+
+async function pruneRevisions(studentId) {
+  const old = await dbAll(
+    'SELECT id, photoKey FROM student_revisions WHERE studentId = ? ORDER BY revision DESC LIMIT -1 OFFSET ?',
+    [studentId, MAX_REVISIONS]
+  );
+  if (old.length === 0) return;
+
+  await dbRun(`DELETE FROM student_revisions WHERE id IN (${old.map(() => '?').join(',')})`, old.map(row => row.id));
+  for (const { photoKey } of old) await releasePhoto(photoKey);
+}
+
+// A revision's record, in the same shape as the live one
+function revisionRecord(row) {
+  return {
+    ...JSON.parse(row.data),
+    photoKey: row.photoKey,
+    photoUrl: row.photoKey ? `/api/students/${row.studentId}/revisions/${row.revision}/photo` : null
+  };
+}
+
+function currentRecord(row) {
+  return { ...presentStudent(row), photoKey: row.photoKey };
+}
+
+// Field-level diff between two records; a changed photo is shown as the two photo URLs
+function diffRevisions(from, to) {
+  const { photoKey: fromPhoto, photoUrl: fromUrl, ...fromFields } = from;
+  const { photoKey: toPhoto, photoUrl: toUrl, ...toFields } = to;
+  const changes = diffFields(pickRevisionFields(fromFields), pickRevisionFields(toFields));
+  delete changes.photoKey;
+  if ((fromPhoto || null) !== (toPhoto || null)) changes.photo = { from: fromUrl, to: toUrl };
+  return changes;
+}
+
+async function getStudentOr404(id) {
+  const student = await dbGet('SELECT * FROM students WHERE id = ?', [id]);
+  if (!student) throw httpError(404, 'Student not found');
+  return student;
+}
+
+async function getRevisionOr404(studentId, revision) {
+  const row = await dbGet('SELECT * FROM student_revisions WHERE studentId = ? AND revision = ?', [studentId, revision]);
+  if (!row) throw httpError(404, 'Revision not found');
+  return row;
+}
+
+// Newest first. `changes` on each revision is what the update that
+// replaced it changed (compared with the next revision, or the current record).
+app.get('/api/students/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const existing = await getStudentOr404(req.params.id);
+    const rows = await dbAll('SELECT * FROM student_revisions WHERE studentId = ? ORDER BY revision DESC', [existing.id]);
+
+    let newer = currentRecord(existing);
+    const revisions = rows.map(row => {
+      const record = revisionRecord(row);
+      const { photoKey, ...shown } = record;
+      const revision = {
+        revision: row.revision,
+        source: row.source,
+        changedBy: row.changedBy,
+        changedAt: row.createdAt,
+        record: shown,
+        changes: diffRevisions(record, newer)
+      };
+      newer = record;
+      return revision;
+    });
+
+    res.json({ student: presentStudent(existing), revisions });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error fetching revisions:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// Diff between two revisions: ?from=3&to=5; `to` defaults to the current record
+app.get('/api/students/:id/revisions/diff', requireAuth, async (req, res) => {
+  try {
+    const student = await getStudentOr404(req.params.id);
+    const load = async (revision) => revision === 'current' || revision === undefined
+      ? { revision: 'current', record: currentRecord(student) }
+      : { revision: Number(revision), record: revisionRecord(await getRevisionOr404(student.id, revision)) };
+
+    const from = await load(req.query.from);
+    const to = await load(req.query.to);
+    res.json({ from: from.revision, to: to.revision, changes: diffRevisions(from.record, to.record) });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error comparing revisions:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+app.get('/api/students/:id/revisions/:revision/photo', requireAuth, async (req, res) => {
+  try {
+    const row = await getRevisionOr404(req.params.id, req.params.revision);
+    if (!row.photoKey) throw httpError(404, 'Photo not found');
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.sendFile(photoPath(row.photoKey, req.query.size === 'thumb' ? 'thumb' : 'full'), (sendErr) => {
+      if (sendErr && !res.headersSent) res.status(404).json({ error: 'Photo not found' });
+    });
+  } catch (err) {
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// Revert to a revision. This is itself an update, so the version it
+// replaces is saved as a new revision and the revert can be undone.
+app.post('/api/students/:id/revisions/:revision/revert', requireRole(...STAFF_ROLES), async (req, res) => {
+  console.log(`⏪ POST /api/students/${req.params.id}/revisions/${req.params.revision}/revert`);
+
+  try {
+    const existing = await getStudentOr404(req.params.id);
+    const revision = await getRevisionOr404(existing.id, req.params.revision);
+    const { photoKey, photoUrl, ...record } = revisionRecord(revision);
+
+    const student = await applyStudentUpdate(
+      req,
+      existing,
+      { ...existing, ...record, isNew: existing.isNew, photo: undefined },
+      { source: 'revert', photoKey }
+    );
+
+    recordAudit(req, 'REVISION_REVERT', {
+      details: `Reverted ${student.name} (${student.studentNumber}) to revision ${revision.revision} from ${revision.createdAt}`,
+      targetId: student.id,
+      studentNumber: student.studentNumber
+    });
+
+    res.json(student);
+  } catch (err) {
+    if (!err.status) console.error('❌ Error reverting student:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ==================== DUPLICATE DETECTION ====================
+
+// The same person can end up with two records: registered again with a
+// typo in their student number, or re-registered after being archived. Two
+// records (active or archived) look like the same person when their names
+// match or nearly match and they also share a birthday, email, phone or a
+// near-identical student number, or when they share a birthday and an email
+// or phone under different names. Flags wait in duplicate_flags until staff
+// merge the two records or dismiss the flag.
+const DUPLICATE_SCAN_MS = 6 * 60 * 60 * 1000;
+const DUPLICATE_STATUSES = ['open', 'dismissed', 'merged'];
+const DUPLICATE_COLUMNS = 'id, studentNumber, name, birthday, email, phone';
+const MAX_DUPLICATE_BLOCK = 500; // records sharing a key; larger groups are too generic to compare
+
+function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase()
+    .replace(/[^A-Z]+/g, ' ').trim().split(' ').filter(Boolean).sort().join(' ');
+}
+
+function normalizeEmail(email) {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  return domain ? `${local.split('+')[0]}@${domain}` : '';
+}
+
+// Last 10 digits, so 0917... and +63917... compare equal
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function normalizeStudentNumber(studentNumber) {
+  return String(studentNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Why two records look like the same person, or null when they do not
+function compareRecords(a, b) {
+  const reasons = [];
+  const nameA = normalizeName(a.name);
+  const nameB = normalizeName(b.name);
+  if (nameA && nameA === nameB) {
+    reasons.push('same_name');
+  } else if (nameA && nameB && editDistance(nameA, nameB) <= Math.max(1, Math.floor(Math.min(nameA.length, nameB.length) / 8))) {
+    reasons.push('similar_name');
+  }
+  const nameMatches = reasons.length > 0;
+
+  if (a.birthday && a.birthday === b.birthday) reasons.push('same_birthday');
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) reasons.push('same_email');
+  const phone = normalizePhone(a.phone);
+  if (phone && phone === normalizePhone(b.phone)) reasons.push('same_phone');
+  const numberA = normalizeStudentNumber(a.studentNumber);
+  const numberB = normalizeStudentNumber(b.studentNumber);
+  if (numberA && numberA === numberB) {
+    reasons.push('same_student_number');
+  } else if (numberA && numberB && editDistance(numberA, numberB) <= 1) {
+    reasons.push('similar_student_number');
+  }
+
+  const sharesContact = reasons.includes('same_email') || reasons.includes('same_phone');
+  const likely = nameMatches ? reasons.length > 1 : reasons.includes('same_birthday') && sharesContact;
+  return likely ? reasons : null;
+}
+
+const recordRef = (record) => `${record.type}:${record.id}`;
+
+async function loadDuplicateRecords() {
+  const students = await dbAll(`SELECT ${DUPLICATE_COLUMNS} FROM students`);
+  const archived = await dbAll(`SELECT ${DUPLICATE_COLUMNS} FROM archived_students`);
+  return [
+    ...students.map(row => ({ ...row, type: 'student' })),
+    ...archived.map(row => ({ ...row, type: 'archived' }))
+  ];
+}
+
+// Only records that share one of these keys are compared, so a full scan
+// does not compare every pair. The student number keys (the number with
+// each character left out in turn) bring together numbers one typo apart.
+function duplicateKeys(record) {
+  const name = normalizeName(record.name);
+  const number = normalizeStudentNumber(record.studentNumber);
+  const keys = new Set([
+    record.birthday && `b:${record.birthday}`,
+    normalizeEmail(record.email) && `e:${normalizeEmail(record.email)}`,
+    normalizePhone(record.phone) && `p:${normalizePhone(record.phone)}`,
+    name && `n:${name}`,
+    name && `i:${name.split(' ').map(part => part.slice(0, 3)).join(' ')}`,
+    number && `s:${number}`
+  ]);
+  for (let i = 0; i < number.length; i++) {
+    keys.add(`s:${number.slice(0, i)}${number.slice(i + 1)}`);
+  }
+  keys.delete('');
+  keys.delete(undefined);
+  return [...keys];
+}
+
+// Pairs in sorted order, as stored in duplicate_flags
+function orderPair(a, b) {
+  return recordRef(a) < recordRef(b) ? [a, b] : [b, a];
+}
+
+function findDuplicatePairs(records) {
+  const blocks = new Map();
+  records.forEach(record => {
+    duplicateKeys(record).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(record);
+    });
+  });
+
+  const pairs = new Map();
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_DUPLICATE_BLOCK) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = orderPair(members[i], members[j]);
+        const key = `${recordRef(a)}|${recordRef(b)}`;
+        if (pairs.has(key)) continue;
+        const reasons = compareRecords(a, b);
+        pairs.set(key, reasons && { a, b, reasons });
+      }
+    }
+  }
+  return [...pairs.values()].filter(Boolean);
+}
+
+// Flags new pairs and refreshes the reasons of open ones; returns how many
+// were new. Dismissed pairs stay dismissed.
+async function saveDuplicateFlags(pairs) {
+  let flagged = 0;
+  for (const { a, b, reasons } of pairs) {
+    const inserted = await dbRun(
+      'INSERT OR IGNORE INTO duplicate_flags (recordA, recordB, reasons) VALUES (?, ?, ?)',
+      [recordRef(a), recordRef(b), JSON.stringify(reasons)]
+    );
+    if (inserted.changes > 0) {
+      flagged++;
+    } else {
+      await dbRun(
+        "UPDATE duplicate_flags SET reasons = ? WHERE recordA = ? AND recordB = ? AND status = 'open'",
+        [JSON.stringify(reasons), recordRef(a), recordRef(b)]
+      );
+    }
+  }
+  return flagged;
+}
+
+// Full pass over both tables. Open flags that no longer hold (a record was
+// edited, merged, restored under a new id or erased) are dropped.
+async function runDuplicateScan() {
+  const pairs = findDuplicatePairs(await loadDuplicateRecords());
+  const flagged = await saveDuplicateFlags(pairs);
+
+  const current = new Set(pairs.map(({ a, b }) => `${recordRef(a)}|${recordRef(b)}`));
+  const open = await dbAll("SELECT id, recordA, recordB FROM duplicate_flags WHERE status = 'open'");
+  const stale = open.filter(flag => !current.has(`${flag.recordA}|${flag.recordB}`));
+  for (const flag of stale) await dbRun('DELETE FROM duplicate_flags WHERE id = ?', [flag.id]);
+
+  if (flagged > 0 || stale.length > 0) {
+    console.log(`👯 Duplicate scan: ${flagged} new, ${stale.length} cleared`);
+    broadcast('duplicates.updated', {});
+  }
+  return { flagged, cleared: stale.length, open: open.length - stale.length + flagged };
+}
+
+async function runScheduledDuplicateScan() {
+  if (databasePaused) return;
+  try {
+    await runDuplicateScan();
+  } catch (err) {
+    console.error('❌ Scheduled duplicate scan failed:', err.message);
+  }
+}
+
+setInterval(runScheduledDuplicateScan, DUPLICATE_SCAN_MS).unref();
+
+// Records that look like `record` (which need not be saved yet)
+async function findDuplicatesOf(record) {
+  const records = await loadDuplicateRecords();
+  return records
+    .filter(other => recordRef(other) !== recordRef(record))
+    .map(other => ({ other, reasons: compareRecords(record, other) }))
+    .filter(match => match.reasons);
+}
+
+// Called after a registration so staff see the flag straight away
+async function flagDuplicatesOf(record) {
+  const matches = await findDuplicatesOf(record);
+  const flagged = await saveDuplicateFlags(matches.map(({ other, reasons }) => {
+    const [a, b] = orderPair(record, other);
+    return { a, b, reasons };
+  }));
+  if (flagged > 0) {
+    console.log(`👯 ${record.studentNumber} looks like ${flagged} existing record(s)`);
+    broadcast('duplicates.updated', {});
+  }
+  return matches;
+}
+
+// Warning for staff registering a student: how many records look like the
+// one being entered. Public registrations are only flagged for review, by
+// registerStudent, so the form cannot be used to probe for records.
+app.post('/api/students/duplicate-check', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const matches = await findDuplicatesOf({ ...req.body, type: 'new', id: 0 });
+    res.json({
+      matches: matches.length,
+      archived: matches.filter(({ other }) => other.type === 'archived').length
+    });
+  } catch (err) {
+    console.error('❌ Error checking for duplicates:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A flagged record with what identifies it across tables: active students
+// are linked to loans, visits etc. by their id, archived ones by originalId
+async function loadFlaggedRecord(ref) {
+  const [type, id] = ref.split(':');
+  const row = await dbGet(`SELECT * FROM ${type === 'archived' ? 'archived_students' : 'students'} WHERE id = ?`, [id]);
+  if (!row) return null;
+  return { type, ref, row, identityId: type === 'archived' ? row.originalId : row.id };
+}
+
+function presentFlaggedRecord(record) {
+  return {
+    type: record.type,
+    ...(record.type === 'archived' ? presentArchivedStudent(record.row) : presentStudent(record.row))
+  };
+}
+
+app.get('/api/duplicates', requireRole(...STAFF_ROLES), async (req, res) => {
+  const status = DUPLICATE_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+
+  try {
+    const flags = await dbAll(
+      `SELECT * FROM duplicate_flags WHERE status = ? ORDER BY id ${status === 'open' ? 'ASC' : 'DESC'} LIMIT 200`,
+      [status]
+    );
+    const items = [];
+    for (const flag of flags) {
+      const a = await loadFlaggedRecord(flag.recordA);
+      const b = await loadFlaggedRecord(flag.recordB);
+      if (status === 'open' && (!a || !b)) continue; // cleared by the next scan
+      items.push({
+        ...flag,
+        reasons: JSON.parse(flag.reasons),
+        a: a && presentFlaggedRecord(a),
+        b: b && presentFlaggedRecord(b)
+      });
+    }
+    res.json(items);
+  } catch (err) {
+    console.error('❌ Error fetching duplicate flags:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/duplicates/scan', requireRole(...STAFF_ROLES), async (req, res) => {
+  console.log('👯 POST /api/duplicates/scan');
+
+  try {
+    res.json(await runDuplicateScan());
+  } catch (err) {
+    console.error('❌ Error scanning for duplicates:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+async function getOpenFlagOr404(id) {
+  const flag = await dbGet('SELECT * FROM duplicate_flags WHERE id = ?', [id]);
+  if (!flag) throw httpError(404, 'Duplicate flag not found');
+  if (flag.status !== 'open') throw httpError(409, 'already_reviewed');
+  return flag;
+}
+
+app.post('/api/duplicates/:id/dismiss', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const flag = await getOpenFlagOr404(req.params.id);
+    await dbRun(
+      "UPDATE duplicate_flags SET status = 'dismissed', reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP WHERE id = ?",
+      [req.session.username, flag.id]
+    );
+
+    recordAudit(req, 'DUPLICATE_DISMISS', { details: `Not duplicates: ${flag.recordA} and ${flag.recordB}` });
+    broadcast('duplicates.updated', {});
+
+    res.json({ status: 'dismissed' });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error dismissing duplicate flag:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// Values the merge takes from one record or the other; the course brings
+// its year, section and ids along
+const MERGE_FIELDS = {
+  studentNumber: ['studentNumber'],
+  name: ['name'],
+  gender: ['gender'],
+  course: ['course', 'year', 'section', 'courseId', 'sectionId'],
+  email: ['email'],
+  phone: ['phone'],
+  birthday: ['birthday'],
+  cardExpiry: ['cardExpiry']
+};
+
+// The sharper of two photos: at the same stored size a larger JPEG holds more detail
+async function pickBestPhoto(keyA, keyB) {
+  if (!keyA || !keyB) return keyA || keyB || null;
+  const size = key => fs.promises.stat(photoPath(key, 'full')).then(stat => stat.size, () => 0);
+  return (await size(keyB)) > (await size(keyA)) ? keyB : keyA;
+}
+
+// Merge a flagged pair into one record.
+// Body: {
+//   keep: 'a' | 'b'         the record that stays; must be the active one
+//                           when only one of them is active
+//   fields: { name: 'b' }   which record each MERGE_FIELDS value comes from
+//                           (default: the kept record, unless it is empty;
+//                           cardExpiry defaults to the later date)
+//   photo: 'a' | 'b'        default: the better photo
+// }
+// Loans, visits, change requests, emails and revisions of the other record
+// move to the kept one, and the other record is deleted.
+app.post('/api/duplicates/:id/merge', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { keep, fields: picks = {}, photo } = req.body || {};
+
+  console.log(`👯 POST /api/duplicates/${req.params.id}/merge - keep ${keep}`);
+
+  try {
+    const flag = await getOpenFlagOr404(req.params.id);
+    const records = { a: await loadFlaggedRecord(flag.recordA), b: await loadFlaggedRecord(flag.recordB) };
+    if (!records.a || !records.b) throw httpError(404, 'record_not_found');
+
+    const invalid = {};
+    if (!['a', 'b'].includes(keep)) invalid.keep = 'invalid';
+    Object.entries(picks).forEach(([field, side]) => {
+      if (!MERGE_FIELDS[field] || !['a', 'b'].includes(side)) invalid[field] = 'invalid';
+    });
+    if (photo !== undefined && !['a', 'b'].includes(photo)) invalid.photo = 'invalid';
+    if (Object.keys(invalid).length > 0) throw httpError(422, 'validation', { fields: invalid });
+
+    const kept = records[keep];
+    const removed = records[keep === 'a' ? 'b' : 'a'];
+    if (kept.type === 'archived' && removed.type === 'student') throw httpError(409, 'keep_active_record');
+
+    // Chosen values, then the photo
+    const merged = {};
+    Object.entries(MERGE_FIELDS).forEach(([field, columns]) => {
+      let source = picks[field] ? records[picks[field]].row : kept.row;
+      if (!picks[field] && !kept.row[field] && removed.row[field]) source = removed.row;
+      if (!picks[field] && field === 'cardExpiry' && String(removed.row.cardExpiry || '') > String(kept.row.cardExpiry || '')) source = removed.row;
+      columns.forEach(column => { merged[column] = source[column] ?? null; });
+    });
+    const photoKey = photo ? records[photo].row.photoKey : await pickBestPhoto(kept.row.photoKey, removed.row.photoKey);
+
+    // The kept record's new values; an active one is validated like any update
+    let updated = { ...merged, photoKey };
+    if (kept.type === 'student') {
+      const { student: cleaned, fields } = validateStudentUpdate({ ...kept.row, ...merged }, kept.row);
+      if (Object.keys(fields).length > 0) throw httpError(422, 'validation', { fields });
+      updated = {
+        name: cleaned.name,
+        gender: cleaned.gender,
+        course: cleaned.course,
+        year: cleaned.year,
+        section: cleaned.section,
+        courseId: cleaned.courseId,
+        sectionId: cleaned.sectionId,
+        email: cleaned.email,
+        phone: cleaned.phone,
+        birthday: cleaned.birthday,
+        cardExpiry: cleaned.cardExpiry,
+        photoKey,
+        isNew: kept.row.isNew ? 1 : 0
+      };
+    }
+
+    const keptTable = kept.type === 'archived' ? 'archived_students' : 'students';
+    await withTransaction(async () => {
+      const claimed = await dbRun(
+        "UPDATE duplicate_flags SET status = 'merged', reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'",
+        [req.session.username, flag.id]
+      );
+      if (claimed.changes === 0) throw httpError(409, 'already_reviewed');
+
+      // The other record goes first, so its student number is free to take
+      const removedTable = removed.type === 'archived' ? 'archived_students' : 'students';
+      const deleted = await dbRun(`DELETE FROM ${removedTable} WHERE id = ?`, [removed.row.id]);
+      if (deleted.changes === 0) throw httpError(404, 'record_not_found');
+
+      const from = removed.identityId;
+      const to = kept.identityId;
+      await dbRun('UPDATE loans SET studentId = ?, studentNumber = ? WHERE studentId IN (?, ?)', [to, merged.studentNumber, from, to]);
+      await dbRun('UPDATE visits SET studentId = ?, studentNumber = ? WHERE studentId IN (?, ?)', [to, merged.studentNumber, from, to]);
+      await dbRun('UPDATE change_requests SET studentId = ?, studentNumber = ? WHERE studentId IN (?, ?)', [to, merged.studentNumber, from, to]);
+      await dbRun('UPDATE email_outbox SET studentId = ? WHERE studentId = ?', [to, from]);
+      if (removed.type === 'student') {
+        await dbRun('UPDATE registration_conflicts SET existingId = ? WHERE existingId = ?', [to, from]);
+      }
+
+      // The other record's revisions continue after the kept record's own
+      const { latest } = await dbGet('SELECT COALESCE(MAX(revision), 0) AS latest FROM student_revisions WHERE studentId = ?', [to]);
+      await dbRun('UPDATE student_revisions SET studentId = ?, revision = revision + ? WHERE studentId = ?', [to, latest, from]);
+
+      if (merged.studentNumber !== kept.row.studentNumber) {
+        const taken = kept.type === 'student' && await dbGet('SELECT * FROM students WHERE studentNumber = ?', [merged.studentNumber]);
+        if (taken) throw httpError(409, 'studentNumber_taken', { student: presentStudent(taken) });
+        await dbRun(`UPDATE ${keptTable} SET studentNumber = ? WHERE id = ?`, [merged.studentNumber, kept.row.id]);
+      }
+
+      // Other flags about the removed record no longer apply
+      await dbRun("DELETE FROM duplicate_flags WHERE status = 'open' AND (recordA = ? OR recordB = ?)", [removed.ref, removed.ref]);
+
+      // The kept record takes the chosen values; an active one keeps its
+      // previous version as a revision
+      if (kept.type === 'student') {
+        await saveStudentUpdate(req, { ...kept.row, studentNumber: merged.studentNumber }, updated, 'merge');
+      } else {
+        await dbRun(
+          `UPDATE archived_students SET name = ?, gender = ?, course = ?, year = ?, section = ?, courseId = ?, sectionId = ?,
+             email = ?, phone = ?, birthday = ?, cardExpiry = ?, photoKey = ? WHERE id = ?`,
+          [updated.name, updated.gender, updated.course, updated.year, updated.section, updated.courseId, updated.sectionId,
+            updated.email, updated.phone, updated.birthday, updated.cardExpiry, photoKey, kept.row.id]
+        );
+      }
+    });
+
+    let result;
+    if (kept.type === 'student') {
+      pruneRevisions(kept.row.id).catch(err => console.error('❌ Error pruning revisions:', err.message));
+      result = presentStudent(await dbGet('SELECT * FROM students WHERE id = ?', [kept.row.id]));
+      broadcast('student.updated', { student: result });
+    } else {
+      result = presentArchivedStudent(await dbGet('SELECT * FROM archived_students WHERE id = ?', [kept.row.id]));
+    }
+    if (kept.row.photoKey !== photoKey) releasePhoto(kept.row.photoKey);
+    if (removed.row.photoKey !== photoKey) releasePhoto(removed.row.photoKey);
+
+    recordAudit(req, 'MERGE', {
+      details: `Merged ${removed.type === 'archived' ? 'archived ' : ''}${removed.row.name} (${removed.row.studentNumber}) ` +
+        `into ${kept.type === 'archived' ? 'archived ' : ''}${result.name} (${result.studentNumber})`,
+      targetId: kept.identityId,
+      studentNumber: result.studentNumber,
+      before: removed.row,
+      after: updated
+    });
+    broadcast('students.merged', { kept: kept.ref, removed: removed.ref });
+    broadcast('duplicates.updated', {});
+
+    res.json({ status: 'merged', type: kept.type, record: result });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error merging records:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ==================== OFFLINE REGISTRATIONS ====================
+
+// When the network is down the kiosk keeps registrations in IndexedDB and
+// sends them to POST /api/students once it is back, tagged with an offlineId
+// made on the device. Replaying one that was already saved returns the saved
+// student; one that can no longer be saved as it is (its student number was
+// taken meanwhile, or it fails validation) waits in registration_conflicts
+// until staff register it, merge it into the existing record or discard it.
+const CONFLICT_STATUSES = ['open', 'resolved', 'discarded'];
+const CONFLICT_ACTIONS = ['register', 'update-existing', 'discard'];
+
+async function registerOfflineStudent(req, payload, offline) {
+  const offlineId = offline.id.slice(0, 64);
+  const { offline: _offline, ...form } = payload;
+
+  const saved = await dbGet('SELECT * FROM students WHERE offlineId = ?', [offlineId]);
+  if (saved) return { status: 200, body: presentStudent(saved) };
+
+  let conflict = await dbGet('SELECT * FROM registration_conflicts WHERE offlineId = ?', [offlineId]);
+  if (!conflict) {
+    try {
+      return await registerStudent(req, form, offlineId);
+    } catch (err) {
+      if (err.status !== 400 && err.status !== 422) throw err;
+      conflict = await parkRegistration(req, form, offlineId, offline.queuedAt, err.body);
+    }
+  }
+  throw httpError(409, 'queued_for_review', { conflictId: conflict.id, reason: conflict.reason });
+}
+
+// reason is the error the registration got: duplicate, validation or invalid_photo
+async function parkRegistration(req, form, offlineId, queuedAt, error) {
+  const { photo, ...fields } = form;
+  // A photo that cannot be read is dropped; staff can retake it later
+  const photoKey = error.error === 'invalid_photo' ? null : await savePhoto(photo).catch(() => null);
+
+  const result = await dbRun(
+    `INSERT OR IGNORE INTO registration_conflicts (offlineId, reason, payload, photoKey, fields, existingId, queuedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      offlineId,
+      error.error,
+      JSON.stringify(fields),
+      photoKey,
+      error.fields ? JSON.stringify(error.fields) : null,
+      error.student ? error.student.id : null,
+      isNaN(Date.parse(queuedAt)) ? null : new Date(queuedAt).toISOString()
+    ]
+  );
+  const conflict = await dbGet('SELECT * FROM registration_conflicts WHERE offlineId = ?', [offlineId]);
+  if (result.changes === 0) {
+    // Another replay of the same registration got here first
+    deletePhoto(photoKey);
+    return conflict;
+  }
+
+  console.log(`⚠️ Offline registration ${offlineId} held for review (${error.error})`);
+  recordAudit(req, 'OFFLINE_CONFLICT', {
+    details: `Offline registration for ${fields.name || '?'} (${fields.studentNumber || '?'}) held for review: ${error.error}`,
+    targetId: conflict.existingId,
+    studentNumber: fields.studentNumber || null
+  });
+  broadcast('registration-conflict.updated', { id: conflict.id, status: 'open' });
+  return conflict;
+}
+
+function presentConflict(row) {
+  const { photoKey, existingName, existingCourse, existingYear, existingSection, existingStudentNumber, ...conflict } = row;
+  return {
+    ...conflict,
+    payload: JSON.parse(row.payload || '{}'),
+    fields: row.fields ? JSON.parse(row.fields) : null,
+    photoUrl: photoKey ? `/api/registration-conflicts/${row.id}/photo` : null,
+    existing: existingStudentNumber ? {
+      id: row.existingId,
+      name: existingName,
+      studentNumber: existingStudentNumber,
+      course: existingCourse,
+      year: existingYear,
+      section: existingSection,
+      photoUrl: `/api/students/${row.existingId}/photo?size=thumb`
+    } : null
+  };
+}
+
+app.get('/api/registration-conflicts', requireRole(...STAFF_ROLES), async (req, res) => {
+  const status = CONFLICT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+
+  try {
+    const rows = await dbAll(
+      `SELECT registration_conflicts.*, students.name AS existingName, students.studentNumber AS existingStudentNumber,
+              students.course AS existingCourse, students.year AS existingYear, students.section AS existingSection
+       FROM registration_conflicts LEFT JOIN students ON students.id = registration_conflicts.existingId
+       WHERE registration_conflicts.status = ?
+       ORDER BY registration_conflicts.id ${status === 'open' ? 'ASC' : 'DESC'} LIMIT 200`,
+      [status]
+    );
+    res.json(rows.map(presentConflict));
+  } catch (err) {
+    console.error('❌ Error fetching registration conflicts:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/registration-conflicts/:id/photo', requireRole(...STAFF_ROLES), sendPhoto('registration_conflicts'));
+
+// Resolve an open conflict:
+//   register         save it as a new student, with corrections in `changes`
+//                    (usually a different studentNumber)
+//   update-existing  it is the student already registered under that number:
+//                    apply the kiosk details to their record like a desk edit
+//   discard          drop it
+app.post('/api/registration-conflicts/:id/resolve', requireRole(...STAFF_ROLES), async (req, res) => {
+  const action = req.body.action;
+  const changes = req.body.changes && typeof req.body.changes === 'object' ? req.body.changes : {};
+
+  console.log(`🧩 POST /api/registration-conflicts/${req.params.id}/resolve - ${action}`);
+
+  if (!CONFLICT_ACTIONS.includes(action)) {
+    sendValidationError(res, { action: 'invalid' });
+    return;
+  }
+
+  try {
+    const conflict = await dbGet('SELECT * FROM registration_conflicts WHERE id = ?', [req.params.id]);
+    if (!conflict) throw httpError(404, 'Registration conflict not found');
+
+    // Claim it first so two stations cannot both resolve it
+    const status = action === 'discard' ? 'discarded' : 'resolved';
+    const claimed = await dbRun(
+      `UPDATE registration_conflicts SET status = ?, resolution = ?, resolvedBy = ?, resolvedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'open'`,
+      [status, action, req.session.username, conflict.id]
+    );
+    if (claimed.changes === 0) throw httpError(409, 'already_resolved');
+
+    let student = null;
+    try {
+      const payload = { ...JSON.parse(conflict.payload || '{}'), ...changes, photo: undefined };
+      if (action !== 'discard' && conflict.photoKey) {
+        const buffer = await fs.promises.readFile(photoPath(conflict.photoKey, 'full'));
+        payload.photo = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+      }
+
+      if (action === 'register') {
+        student = await registerStudent(req, payload, conflict.offlineId);
+      } else if (action === 'update-existing') {
+        const existing = conflict.existingId && await dbGet('SELECT * FROM students WHERE id = ?', [conflict.existingId]);
+        if (!existing) throw httpError(404, 'student_not_found');
+        student = await applyStudentUpdate(req, existing, { ...existing, ...payload, photo: payload.photo }, { source: 'offline-registration' });
+      }
+    } catch (applyErr) {
+      // Nothing was saved: back to the queue
+      await dbRun("UPDATE registration_conflicts SET status = 'open', resolution = NULL, resolvedBy = NULL, resolvedAt = NULL WHERE id = ?", [conflict.id]);
+      throw applyErr;
+    }
+
+    // The held photo is only needed until the conflict is resolved
+    await dbRun('UPDATE registration_conflicts SET photoKey = NULL, studentId = ? WHERE id = ?', [student ? student.id : null, conflict.id]);
+    deletePhoto(conflict.photoKey);
+
+    const form = JSON.parse(conflict.payload || '{}');
+    const outcome = {
+      register: student && `registered as ${student.studentNumber}`,
+      'update-existing': student && `merged into ${student.name} (${student.studentNumber})`,
+      discard: 'discarded'
+    }[action];
+    recordAudit(req, 'OFFLINE_CONFLICT_RESOLVE', {
+      details: `Offline registration for ${form.name || '?'} (${form.studentNumber || '?'}) ${outcome}`,
+      targetId: student ? student.id : conflict.existingId,
+      studentNumber: student ? student.studentNumber : form.studentNumber || null
+    });
+    broadcast('registration-conflict.updated', { id: conflict.id, status });
+
+    res.json({ status, student });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error resolving registration conflict:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ==================== SELF-SERVICE PORTAL ====================
+
+// Students sign in on the public page with their student number and
+// birthday, or with a one-time code emailed to them, to see their own record
+// and ask for changes to their contact details or photo. Requests wait in
+// change_requests until staff approve them (applied through
+// applyStudentUpdate, like an edit at the desk) or reject them.
+const STUDENT_SESSION_COOKIE = 'student_session';
+const STUDENT_SESSION_TTL_MS = 15 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_INTERVAL_MS = 60 * 1000; // between two codes for the same student
+const MAX_CODE_ATTEMPTS = 5;
+const SELF_SERVICE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_SELF_SERVICE_FAILURES = 10; // per address and window
+const SELF_SERVICE_FIELDS = ['email', 'phone'];
+const MAX_REQUEST_NOTE_LENGTH = 500;
+const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+const studentSessions = new Map();
+const loginCodes = new Map(); // studentId -> { hash, expiresAt, sentAt, attempts }
+const selfServiceFailures = new Map(); // ip -> { count, resetAt }
+
+function hashLoginCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function isSelfServiceLocked(req) {
+  const entry = selfServiceFailures.get(getClientIp(req));
+  if (entry && entry.resetAt < Date.now()) {
+    selfServiceFailures.delete(getClientIp(req));
+    return false;
+  }
+  return !!entry && entry.count >= MAX_SELF_SERVICE_FAILURES;
+}
+
+function recordSelfServiceFailure(req) {
+  const ip = getClientIp(req);
+  const entry = selfServiceFailures.get(ip) || { count: 0, resetAt: Date.now() + SELF_SERVICE_WINDOW_MS };
+  entry.count += 1;
+  selfServiceFailures.set(ip, entry);
+}
+
+function startStudentSession(req, res, student, method) {
+  const token = crypto.randomBytes(32).toString('hex');
+  studentSessions.set(token, {
+    studentId: student.id,
+    studentNumber: student.studentNumber,
+    method,
+    expiresAt: Date.now() + STUDENT_SESSION_TTL_MS
+  });
+  res.setHeader('Set-Cookie', `${STUDENT_SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/api/self-service; Max-Age=${STUDENT_SESSION_TTL_MS / 1000}`);
+  recordAudit(req, 'SELF_SERVICE_LOGIN', {
+    details: `${student.name} (${student.studentNumber}) signed in to self-service with ${method === 'code' ? 'an email code' : 'their birthday'}`,
+    targetId: student.id,
+    studentNumber: student.studentNumber,
+    username: null
+  });
+}
+
+function requireStudentSession(req, res, next) {
+  const token = parseCookies(req)[STUDENT_SESSION_COOKIE];
+  const session = token && studentSessions.get(token);
+  if (!session || session.expiresAt < Date.now()) {
+    if (session) studentSessions.delete(token);
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+
+  session.expiresAt = Date.now() + STUDENT_SESSION_TTL_MS;
+  req.studentSession = { token, ...session };
+  next();
+}
+
+function pickFields(source, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+// What a student may see about themselves
+function presentOwnRecord(row) {
+  return {
+    studentNumber: row.studentNumber,
+    name: row.name,
+    course: row.course,
+    year: row.year,
+    section: row.section,
+    email: row.email,
+    phone: row.phone,
+    cardExpiry: row.cardExpiry,
+    cardStatus: getCardStatus(row.cardExpiry),
+    photoUrl: row.photoKey ? `/api/self-service/photo?v=${row.photoKey.slice(0, 8)}` : null
+  };
+}
+
+function presentChangeRequest(row) {
+  const { photoKey, ...request } = row;
+  return {
+    ...request,
+    changes: JSON.parse(row.changes || '{}'),
+    photoRequested: !!row.photoRequested,
+    photoUrl: photoKey ? `/api/change-requests/${row.id}/photo` : null
+  };
+}
+
+async function getActiveStudentByNumber(studentNumber) {
+  return dbGet('SELECT * FROM students WHERE studentNumber = ?', [String(studentNumber || '').trim().toUpperCase()]);
+}
+
+// Sign in with student number + birthday (YYYY-MM-DD)
+app.post('/api/self-service/login', async (req, res) => {
+  const { studentNumber, birthday } = req.body;
+
+  if (isSelfServiceLocked(req)) {
+    res.status(429).json({ error: 'too_many_attempts' });
+    return;
+  }
+
+  try {
+    const student = await getActiveStudentByNumber(studentNumber);
+    if (!student || !student.birthday || !isIsoDate(birthday) || student.birthday !== birthday) {
+      recordSelfServiceFailure(req);
+      console.log('⚠️ Failed self-service sign-in for:', studentNumber);
+      res.status(401).json({ error: 'invalid_credentials' });
+      return;
+    }
+
+    startStudentSession(req, res, student, 'birthday');
+    res.json(presentOwnRecord(student));
+  } catch (err) {
+    console.error('❌ Error signing in to self-service:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Email a one-time code. The answer is the same whether or not the student
+// exists or has an email address, so the form cannot be used to probe records.
+app.post('/api/self-service/code', async (req, res) => {
+  if (isSelfServiceLocked(req)) {
+    res.status(429).json({ error: 'too_many_attempts' });
+    return;
+  }
+
+  try {
+    const student = await getActiveStudentByNumber(req.body.studentNumber);
+    const previous = student && loginCodes.get(student.id);
+
+    if (student && student.email && !(previous && Date.now() - previous.sentAt < LOGIN_CODE_INTERVAL_MS)) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      loginCodes.set(student.id, {
+        hash: hashLoginCode(code),
+        expiresAt: Date.now() + LOGIN_CODE_TTL_MS,
+        sentAt: Date.now(),
+        attempts: 0
+      });
+      sendLoginCode(student, code);
+    }
+
+    res.json({ message: 'If this student number has an email address on file, a code was sent to it' });
+  } catch (err) {
+    console.error('❌ Error sending self-service code:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign in with the emailed code
+app.post('/api/self-service/verify', async (req, res) => {
+  const code = String(req.body.code || '').trim();
+
+  if (isSelfServiceLocked(req)) {
+    res.status(429).json({ error: 'too_many_attempts' });
+    return;
+  }
+
+  try {
+    const student = await getActiveStudentByNumber(req.body.studentNumber);
+    const entry = student && loginCodes.get(student.id);
+
+    if (!entry || entry.expiresAt < Date.now() || entry.attempts >= MAX_CODE_ATTEMPTS) {
+      if (entry) loginCodes.delete(student.id);
+      recordSelfServiceFailure(req);
+      res.status(401).json({ error: 'code_expired' });
+      return;
+    }
+
+    const expected = Buffer.from(entry.hash, 'hex');
+    const actual = Buffer.from(hashLoginCode(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      entry.attempts += 1;
+      recordSelfServiceFailure(req);
+      res.status(401).json({ error: 'invalid_code' });
+      return;
+    }
+
+    loginCodes.delete(student.id);
+    startStudentSession(req, res, student, 'code');
+    res.json(presentOwnRecord(student));
+  } catch (err) {
+    console.error('❌ Error verifying self-service code:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/self-service/logout', (req, res) => {
+  const token = parseCookies(req)[STUDENT_SESSION_COOKIE];
+  if (token) studentSessions.delete(token);
+  res.setHeader('Set-Cookie', `${STUDENT_SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/api/self-service; Max-Age=0`);
+  res.json({ message: 'Logged out' });
+});
+
+// The signed-in student's record and their change requests
+app.get('/api/self-service/me', requireStudentSession, async (req, res) => {
+  try {
+    const student = await dbGet('SELECT * FROM students WHERE id = ?', [req.studentSession.studentId]);
+    if (!student) {
+      studentSessions.delete(req.studentSession.token);
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+
+    const requests = await dbAll('SELECT * FROM change_requests WHERE studentId = ? ORDER BY id DESC', [student.id]);
+    res.json({
+      student: presentOwnRecord(student),
+      requests: requests.map(request => {
+        const { reviewedBy, ...visible } = presentChangeRequest(request);
+        return { ...visible, photoUrl: null };
+      })
+    });
+  } catch (err) {
+    console.error('❌ Error fetching self-service record:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/self-service/photo', requireStudentSession, (req, res) => {
+  req.params.id = req.studentSession.studentId;
+  sendPhoto('students')(req, res);
+});
+
+// Ask for a change: { email?, phone?, photo? (data URL), note? }
+app.post('/api/self-service/change-requests', requireStudentSession, async (req, res) => {
+  const note = String(req.body.note || '').trim();
+
+  try {
+    const student = await dbGet('SELECT * FROM students WHERE id = ?', [req.studentSession.studentId]);
+    if (!student) {
+      res.status(401).json({ error: 'unauthorized' });
+      return;
+    }
+
+    const pending = await dbGet("SELECT id FROM change_requests WHERE studentId = ? AND status = 'pending'", [student.id]);
+    if (pending) {
+      res.status(409).json({ error: 'request_pending' });
+      return;
+    }
+
+    // Only fields that differ from the record count as changes; they are
+    // checked with the same rules as a staff edit
+    const { student: cleaned, fields } = validateStudentUpdate({ ...student, ...pickFields(req.body, SELF_SERVICE_FIELDS) }, student);
+    const changes = {};
+    const errors = {};
+    SELF_SERVICE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      if (fields[field]) errors[field] = fields[field];
+      else if ((cleaned[field] || '') !== (student[field] || '')) changes[field] = cleaned[field];
+    });
+    if (note.length > MAX_REQUEST_NOTE_LENGTH) errors.note = 'too_long';
+    if (Object.keys(errors).length > 0) {
+      sendValidationError(res, errors);
+      return;
+    }
+
+    let photoKey = null;
+    if (isDataUrl(req.body.photo)) {
+      try {
+        photoKey = await savePhoto(req.body.photo);
+      } catch (photoErr) {
+        res.status(400).json({ error: 'invalid_photo' });
+        return;
+      }
+    }
+
+    if (Object.keys(changes).length === 0 && !photoKey) {
+      res.status(400).json({ error: 'no_changes' });
+      return;
+    }
+
+    const result = await dbRun(
+      `INSERT INTO change_requests (studentId, studentNumber, changes, photoRequested, photoKey, note, verifiedBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [student.id, student.studentNumber, JSON.stringify(changes), photoKey ? 1 : 0, photoKey, note, req.studentSession.method]
+    );
+
+    recordAudit(req, 'CHANGE_REQUEST', {
+      details: `${student.name} (${student.studentNumber}) asked to change ${[...Object.keys(changes), ...(photoKey ? ['photo'] : [])].join(', ')}`,
+      targetId: student.id,
+      studentNumber: student.studentNumber,
+      username: null
+    });
+
+    const row = await dbGet('SELECT * FROM change_requests WHERE id = ?', [result.lastID]);
+    broadcast('change-request.updated', { request: presentChangeRequest(row) });
+
+    console.log(`📝 Change request #${result.lastID} from ${student.studentNumber}`);
+    res.json(presentChangeRequest(row));
+  } catch (err) {
+    console.error('❌ Error saving change request:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Review queue. Query: status (default pending)
+app.get('/api/change-requests', requireRole(...STAFF_ROLES), async (req, res) => {
+  const status = CHANGE_REQUEST_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+  try {
+    const rows = await dbAll(
+      `SELECT change_requests.*, students.name, students.email AS currentEmail, students.phone AS currentPhone
+       FROM change_requests LEFT JOIN students ON students.id = change_requests.studentId
+       WHERE change_requests.status = ?
+       ORDER BY change_requests.id ${status === 'pending' ? 'ASC' : 'DESC'} LIMIT 200`,
+      [status]
+    );
+    res.json(rows.map(presentChangeRequest));
+  } catch (err) {
+    console.error('❌ Error fetching change requests:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/change-requests/:id/photo', requireRole(...STAFF_ROLES), sendPhoto('change_requests'));
+
+// Claim a pending request for review. Throws 409 when another station
+// reviewed it first, so a request is never applied twice.
+async function closeChangeRequest(req, id, status, reviewNote) {
+  const request = await dbGet('SELECT * FROM change_requests WHERE id = ?', [id]);
+  if (!request) throw httpError(404, 'Change request not found');
+
+  const result = await dbRun(
+    `UPDATE change_requests SET status = ?, reviewNote = ?, reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [status, reviewNote, req.session.username, id]
+  );
+  if (result.changes === 0) throw httpError(409, 'already_reviewed');
+  return request;
+}
+
+// The uploaded photo is only needed until the request is reviewed
+async function discardRequestPhoto(request) {
+  if (!request.photoKey) return;
+  await dbRun('UPDATE change_requests SET photoKey = NULL WHERE id = ?', [request.id]);
+  deletePhoto(request.photoKey);
+}
+
+// Approve: the requested values are applied exactly like a staff edit
+app.post('/api/change-requests/:id/approve', requireRole(...STAFF_ROLES), async (req, res) => {
+  console.log(`✅ POST /api/change-requests/${req.params.id}/approve`);
+
+  try {
+    const request = await closeChangeRequest(req, req.params.id, 'approved', String(req.body.reviewNote || '').trim());
+
+    let student;
+    try {
+      const existing = await dbGet('SELECT * FROM students WHERE id = ?', [request.studentId]);
+      if (!existing) throw httpError(404, 'student_not_found');
+
+      const payload = { ...existing, ...JSON.parse(request.changes || '{}'), photo: undefined };
+      if (request.photoKey) {
+        const buffer = await fs.promises.readFile(photoPath(request.photoKey, 'full'));
+        payload.photo = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+      }
+      student = await applyStudentUpdate(req, existing, payload, { source: 'change-request' });
+    } catch (applyErr) {
+      // Not applied (e.g. the email no longer passes validation): back to the queue
+      await dbRun("UPDATE change_requests SET status = 'pending', reviewNote = NULL, reviewedBy = NULL, reviewedAt = NULL WHERE id = ?", [request.id]);
+      throw applyErr;
+    }
+    await discardRequestPhoto(request); // applyStudentUpdate stored its own copy
+
+    recordAudit(req, 'CHANGE_REQUEST_APPROVE', {
+      details: `Approved change request #${request.id} from ${student.name} (${student.studentNumber})`,
+      targetId: student.id,
+      studentNumber: student.studentNumber
+    });
+    broadcast('change-request.updated', { id: request.id, status: 'approved' });
+
+    res.json({ student, status: 'approved' });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error approving change request:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+app.post('/api/change-requests/:id/reject', requireRole(...STAFF_ROLES), async (req, res) => {
+  const reviewNote = String(req.body.reviewNote || '').trim();
+
+  console.log(`🚫 POST /api/change-requests/${req.params.id}/reject`);
+
+  try {
+    const request = await closeChangeRequest(req, req.params.id, 'rejected', reviewNote);
+    await discardRequestPhoto(request);
+
+    recordAudit(req, 'CHANGE_REQUEST_REJECT', {
+      details: `Rejected change request #${request.id} from ${request.studentNumber}` + (reviewNote ? `: ${reviewNote}` : ''),
+      targetId: request.studentId,
+      studentNumber: request.studentNumber
+    });
+    broadcast('change-request.updated', { id: request.id, status: 'rejected' });
+
+    res.json({ status: 'rejected' });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error rejecting change request:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ==================== ARCHIVED STUDENTS ENDPOINTS ====================
+
+// List archived students (same parameters as /api/students), most
+// recently archived first
+app.get('/api/archived', requireAuth, async (req, res) => {
+  console.log('📊 GET /api/archived - Fetching archived students...');
+
+  try {
+    const result = await listStudents('archived_students', req.query, 'createdAt DESC, id DESC', presentArchivedStudent);
+    console.log(`✅ Fetched ${result.items.length} of ${result.total} archived students`);
+    res.json(result);
+  } catch (err) {
+    console.error('❌ Error fetching archived students:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Archived student photo (?size=thumb|full)
+app.get('/api/archived/:id/photo', requireAuth, sendPhoto('archived_students'));
+
+// Restore archived student. If the student number has been registered
+// again since the archive, the restore is refused with 409
+// studentNumber_taken (and the student holding it); send { studentNumber }
+// to restore the record under a different number instead.
+app.post('/api/restore/:id', requireRole(...STAFF_ROLES), (req, res) => {
+  const { id } = req.params;
+  const newNumber = String((req.body && req.body.studentNumber) || '').trim().toUpperCase();
+  
+  console.log(`♻️ POST /api/restore/${id} - Restoring student...`);
+  
+  // Get archived student
+  db.get('SELECT * FROM archived_students WHERE id = ?', [id], (err, student) => {
+    if (err) {
+      console.error('❌ Error fetching archived student:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    
+    if (!student) {
+      console.log('⚠️ Archived student not found:', id);
+      res.status(404).json({ error: 'Archived student not found' });
+      return;
+    }
+
+    if (newNumber) {
+      const { fields } = validateStudent({ ...student, studentNumber: newNumber });
+      if (fields.studentNumber) {
+        sendValidationError(res, { studentNumber: fields.studentNumber });
+        return;
+      }
+    }
+    const studentNumber = newNumber || student.studentNumber;
+    
+    // Restore to students table
+    const restoreSql = `
+      INSERT INTO students 
+      (studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday, cardExpiry, photoKey,
+       registeredDate, registeredTime, registeredDateTime, isNew)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const restoreParams = [
+      studentNumber,
+      student.name,
+      student.gender,
+      student.course,
+      student.year,
+      student.section,
+      student.courseId,
+      student.sectionId,
+      student.email,
+      student.phone,
+      student.birthday,
+      student.cardExpiry,
+      student.photoKey,
+      student.registeredDate,
+      student.registeredTime,
+      student.registeredDateTime,
+      0 // isNew = false for restored students
+    ];
+
+    // Insert, relink and remove from the archive as one transaction
+    withTransaction(async () => {
+      const taken = await dbGet('SELECT * FROM students WHERE studentNumber = ?', [studentNumber]);
+      if (taken) throw httpError(409, 'studentNumber_taken', { student: presentStudent(taken) });
+
+      const restored = await dbRun(restoreSql, restoreParams);
+      const restoredId = restored.lastID;
+
+      // Loans, visits, change requests, emails and revisions follow the
+      // student to the new id (and number)
+      await dbRun('UPDATE loans SET studentId = ?, studentNumber = ? WHERE studentId = ?', [restoredId, studentNumber, student.originalId]);
+      await dbRun('UPDATE visits SET studentId = ?, studentNumber = ? WHERE studentId = ?', [restoredId, studentNumber, student.originalId]);
+      await dbRun('UPDATE change_requests SET studentId = ?, studentNumber = ? WHERE studentId = ?', [restoredId, studentNumber, student.originalId]);
+      await dbRun('UPDATE email_outbox SET studentId = ? WHERE studentId = ?', [restoredId, student.originalId]);
+      await dbRun('UPDATE student_revisions SET studentId = ? WHERE studentId = ?', [restoredId, student.originalId]);
+
+      const removed = await dbRun('DELETE FROM archived_students WHERE id = ?', [student.id]);
+      if (removed.changes === 0) throw httpError(404, 'Archived student not found'); // restored meanwhile
+      return restoredId;
+    }).then(restoredId => {
+      recordAudit(req, 'RESTORE', {
+        details: `Restored: ${student.name} (${studentNumber})` +
+          (studentNumber !== student.studentNumber ? ` - was ${student.studentNumber}, which is now registered to another student` : ''),
+        targetId: restoredId,
+        studentNumber,
+        before: { archivedId: student.id, studentNumber: student.studentNumber },
+        after: { archivedId: null, id: restoredId, isNew: 0, studentNumber }
+      });
+
+      db.get('SELECT * FROM students WHERE id = ?', [restoredId], (getErr, row) => {
+        broadcast('student.restored', { archivedId: student.id, student: presentStudent(row) });
+      });
+
+      console.log(`✅ Student ${id} restored successfully`);
+      res.json({ message: 'Student restored successfully', id: restoredId });
+    }, restoreErr => {
+      if (restoreErr.status === 409) {
+        console.log(`⚠️ Cannot restore ${student.studentNumber}: number registered to another student`);
+      } else {
+        console.error('❌ Error restoring student:', restoreErr.message);
+      }
+      res.status(restoreErr.status || 500).json(restoreErr.body || { error: restoreErr.message });
+    });
+  });
+});
+
+// Delete archived student permanently
+app.delete('/api/archived/:id', requireRole('librarian'), (req, res) => {
+  const { id } = req.params;
+  
+  console.log(`🗑️ DELETE /api/archived/${id} - Permanently deleting...`);
+  
+  db.get('SELECT * FROM archived_students WHERE id = ?', [id], (err, student) => {
+    if (err) {
+      console.error('❌ Error fetching archived student:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    if (!student) {
+      console.log('⚠️ Archived student not found:', id);
+      res.status(404).json({ error: 'Archived student not found' });
+      return;
+    }
+
+    eraseArchivedStudent(student).then(() => {
+      // The entry names no one: the student's details were just erased
+      recordAudit(req, 'PERMANENT_DELETE', {
+        details: `Permanently deleted archive #${student.id}; personal data erased`,
+        targetId: student.id
+      });
+      
+      broadcast('student.deleted', { archivedId: student.id });
+
+      console.log(`✅ Archived student ${id} permanently deleted`);
+      res.json({ message: 'Student permanently deleted' });
+    }, deleteErr => {
+      console.error('❌ Error permanently deleting student:', deleteErr.message);
+      res.status(deleteErr.status || 500).json(deleteErr.body || { error: deleteErr.message });
+    });
+  });
+});
+
+// ==================== PHOTO EXPORT ENDPOINTS ====================
+
+// Folder the ID-card printer picks photos up from, one <studentNumber>.jpg
+// per student. Defaults to ./student_photos next to the database.
+const PHOTO_EXPORT_DIR = path.resolve(process.env.PHOTO_EXPORT_DIR || './student_photos');
+const PHOTO_EXPORT_FILTERS = ['course', 'year', 'section'];
+
+function photoExportFileName(studentNumber) {
+  return `${String(studentNumber).replace(/[^A-Za-z0-9._-]/g, '_')}.jpg`;
+}
+
+function describePhotoExportFilters(filters) {
+  const parts = PHOTO_EXPORT_FILTERS.filter(field => filters[field]).map(field => filters[field]);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+// Current students that have a photo, optionally narrowed to a course,
+// year and/or section
+function getPhotoExportStudents(filters) {
+  const conditions = ["((photoKey IS NOT NULL AND photoKey != '') OR (photo IS NOT NULL AND photo != ''))"];
+  const params = [];
+
+  PHOTO_EXPORT_FILTERS.forEach(field => {
+    if (filters[field]) {
+      conditions.push(`${field} = ?`);
+      params.push(filters[field]);
+    }
+  });
+
+  return dbAll(
+    `SELECT id, studentNumber, photo, photoKey FROM students WHERE ${conditions.join(' AND ')} ORDER BY studentNumber`,
+    params
+  );
+}
+
+// Full-size JPEG bytes of a student's photo. Rows whose photo could not be
+// moved to disk yet still hold a data URL, so decode that instead.
+async function readStudentPhoto(student) {
+  if (student.photoKey) {
+    try {
+      return await fs.promises.readFile(photoPath(student.photoKey, 'full'));
+    } catch (err) {
+      throw new Error(err.code === 'ENOENT' ? 'photo_file_missing' : err.message);
+    }
+  }
+
+  const buffer = decodeDataUrl(student.photo);
+  if (!buffer) throw new Error('invalid_photo');
+
+  try {
+    const image = await Jimp.read(buffer);
+    return await image.getBuffer('image/jpeg', { quality: 90 });
+  } catch (err) {
+    throw new Error('invalid_photo');
+  }
+}
+
+async function exportStudentPhoto(student) {
+  const fileName = photoExportFileName(student.studentNumber);
+  await writeFileAtomic(path.join(PHOTO_EXPORT_DIR, fileName), await readStudentPhoto(student));
+  return fileName;
+}
+
+// Save every matching photo into the export folder
+app.post('/api/photos/export-all', requireRole(...STAFF_ROLES), async (req, res) => {
+  const filters = req.body || {};
+  console.log(`📁 POST /api/photos/export-all${describePhotoExportFilters(filters)}`);
+
+  try {
+    await fs.promises.mkdir(PHOTO_EXPORT_DIR, { recursive: true });
+    const students = await getPhotoExportStudents(filters);
+
+    let saved = 0;
+    const errors = [];
+
+    for (const student of students) {
+      try {
+        await exportStudentPhoto(student);
+        saved++;
+      } catch (err) {
+        console.error(`❌ Could not export photo of ${student.studentNumber}:`, err.message);
+        errors.push({ studentNumber: student.studentNumber, error: err.message });
+      }
+    }
+
+    console.log(`✅ Exported ${saved} of ${students.length} photos to ${PHOTO_EXPORT_DIR}`);
+    recordAudit(req, 'EXPORT_PHOTOS', {
+      details: `Exported ${saved} photos to folder${describePhotoExportFilters(filters)}`
+    });
+    res.json({ success: true, saved, errors, directory: PHOTO_EXPORT_DIR });
+  } catch (err) {
+    console.error('❌ Error exporting photos:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save one student's photo into the export folder
+app.post('/api/photos/save-single', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { studentNumber } = req.body;
+
+  try {
+    const student = await dbGet(
+      'SELECT id, studentNumber, photo, photoKey FROM students WHERE studentNumber = ?',
+      [studentNumber]
+    );
+
+    if (!student) {
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    if (!student.photoKey && !student.photo) {
+      res.status(404).json({ error: 'Photo not found' });
+      return;
+    }
+
+    await fs.promises.mkdir(PHOTO_EXPORT_DIR, { recursive: true });
+    const fileName = await exportStudentPhoto(student);
+
+    console.log(`✅ Saved photo ${fileName}`);
+    recordAudit(req, 'EXPORT_PHOTOS', {
+      details: `Saved photo of ${student.studentNumber} to folder`,
+      targetId: student.id,
+      studentNumber: student.studentNumber
+    });
+    res.json({ success: true, file: fileName, directory: PHOTO_EXPORT_DIR });
+  } catch (err) {
+    console.error('❌ Error saving photo:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download the same set of photos as a ZIP. Photos that could not be read
+// are listed in errors.txt inside the archive.
+app.get('/api/photos/export.zip', requireRole(...STAFF_ROLES), async (req, res) => {
+  const filters = req.query;
+
+  try {
+    const students = await getPhotoExportStudents(filters);
+
+    if (students.length === 0) {
+      res.status(404).json({ error: 'No photos to export' });
+      return;
+    }
+
+    const zipName = `student_photos_${new Date().toISOString().split('T')[0]}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+
+    // JPEGs are already compressed, so just store them
+    const archive = archiver('zip', { store: true });
+    archive.on('error', (err) => {
+      console.error('❌ Error building photo ZIP:', err.message);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    let saved = 0;
+    const errors = [];
+
+    for (const student of students) {
+      try {
+        archive.append(await readStudentPhoto(student), { name: photoExportFileName(student.studentNumber) });
+        saved++;
+      } catch (err) {
+        errors.push(`${student.studentNumber}: ${err.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      archive.append(errors.join('\r\n') + '\r\n', { name: 'errors.txt' });
+    }
+
+    await archive.finalize();
+
+    console.log(`✅ Sent ${saved} photos as ${zipName}`);
+    recordAudit(req, 'DOWNLOAD_PHOTOS', {
+      details: `Downloaded ${saved} photos as ZIP${describePhotoExportFilters(filters)}`
+    });
+  } catch (err) {
+    console.error('❌ Error exporting photos:', err.message);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
+// ==================== ID CARDS ====================
+
+// Library cards are CR80 size (85.6 x 54 mm). PDFs are laid out in points
+// (1/72 inch); PNGs are rendered at 300 dpi for card printer software.
+const MM = 72 / 25.4;
+const CARD_SIZE_MM = { width: 85.6, height: 54 };
+const CARD_PNG_DPI = 300;
+const CARD_TITLE = 'NDHSCCI St. Albert Library';
+const CARD_COLOR = '#1e3a8a';
+const CARD_SHEET = { columns: 2, rows: 5, gapX: 4, gapY: 2.5 }; // A4, gaps in mm
+const MAX_CARDS_PER_BATCH = 500;
+
+// Same label the front end shows, e.g. "BSN 2-A"
+function getCombinedLabel(course, year, section) {
+  const abbr = getCourseAbbreviation(course);
+  const yearNum = yearNumber(year) || year;
+  return `${abbr} ${yearNum}-${section || '?'}`;
+}
+
+// The system logo as PNG (it may have been uploaded in any image format)
+async function loadCardLogo() {
+  const row = await dbGet("SELECT value FROM settings WHERE key = 'system-logo'");
+  const buffer = row && decodeDataUrl(row.value);
+  if (!buffer) return null;
+
+  try {
+    const image = await Jimp.read(buffer);
+    return await image.getBuffer('image/png');
+  } catch (err) {
+    console.error('⚠️ System logo could not be read, printing cards without it');
+    return null;
+  }
+}
+
+function renderStudentCode(studentNumber, codeType) {
+  if (codeType === 'qr') {
+    return bwipjs.toBuffer({ bcid: 'qrcode', text: studentNumber, scale: 4 });
+  }
+  return bwipjs.toBuffer({ bcid: 'code128', text: studentNumber, scale: 3, height: 10, includetext: true, textsize: 9 });
+}
+
+// Everything a card needs, so PDF and PNG rendering stay in step
+async function loadCard(student, logo, codeType) {
+  let photo = null;
+  if (student.photoKey) {
+    try {
+      photo = await fs.promises.readFile(photoPath(student.photoKey, 'full'));
+    } catch (err) {
+      console.error(`⚠️ Photo file missing for ${student.studentNumber}`);
+    }
+  }
+
+  return {
+    student,
+    label: getCombinedLabel(student.course, student.year, student.section),
+    expiry: student.cardExpiry || 'N/A',
+    photo,
+    logo,
+    codeType,
+    code: await renderStudentCode(student.studentNumber, codeType)
+  };
+}
+
+// Shrink text until it fits on one line
+function fitFontSize(doc, text, font, size, minSize, width) {
+  doc.font(font);
+  while (size > minSize && doc.fontSize(size).widthOfString(text) > width) {
+    size -= 0.5;
+  }
+  return size;
+}
+
+// Draw one card with its top-left corner at (x, y), in points
+function drawCardPdf(doc, card, x, y) {
+  const mm = value => value * MM;
+  const width = mm(CARD_SIZE_MM.width);
+  const height = mm(CARD_SIZE_MM.height);
+  const isQr = card.codeType === 'qr';
+  const infoX = x + mm(28);
+  const infoWidth = (isQr ? mm(38) : width - mm(31));
+
+  doc.save();
+  doc.roundedRect(x, y, width, height, mm(3)).clip();
+  doc.rect(x, y, width, height).fill('#ffffff');
+  doc.rect(x, y, width, mm(11)).fill(CARD_COLOR);
+
+  let titleX = x + mm(3);
+  if (card.logo) {
+    doc.image(card.logo, x + mm(2), y + mm(1.5), { fit: [mm(8), mm(8)], align: 'center', valign: 'center' });
+    titleX = x + mm(12);
+  }
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(8).text(CARD_TITLE, titleX, y + mm(2), { lineBreak: false });
+  doc.font('Helvetica').fontSize(6).text('LIBRARY CARD', titleX, y + mm(6), { lineBreak: false });
+
+  if (card.photo) {
+    doc.image(card.photo, x + mm(3), y + mm(14), { fit: [mm(22), mm(28)], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(x + mm(3), y + mm(14), mm(22), mm(28)).fill('#e5e7eb');
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(6)
+      .text('NO PHOTO', x + mm(3), y + mm(27), { width: mm(22), align: 'center' });
+  }
+  doc.rect(x + mm(3), y + mm(14), mm(22), mm(28)).lineWidth(0.5).stroke('#9ca3af');
+
+  const nameSize = fitFontSize(doc, card.student.name, 'Helvetica-Bold', 10, 6, infoWidth);
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(nameSize)
+    .text(card.student.name, infoX, y + mm(14), { width: infoWidth, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(8)
+    .text(card.label, infoX, y + mm(19), { width: infoWidth, lineBreak: false })
+    .text(`ID No.: ${card.student.studentNumber}`, infoX, y + mm(23), { width: infoWidth, lineBreak: false })
+    .text(`Valid until: ${card.expiry}`, infoX, y + mm(27), { width: infoWidth, lineBreak: false });
+
+  if (isQr) {
+    doc.image(card.code, x + width - mm(19), y + mm(14), { fit: [mm(16), mm(16)] });
+  } else {
+    doc.image(card.code, infoX, y + mm(33), { fit: [width - mm(31), mm(12)], align: 'center' });
+  }
+
+  doc.restore();
+  doc.roundedRect(x, y, width, height, mm(3)).lineWidth(0.5).stroke('#9ca3af');
+}
+
+let cardFonts = null;
+
+function loadCardFonts() {
+  if (!cardFonts) {
+    cardFonts = Promise.all([loadFont(SANS_32_WHITE), loadFont(SANS_32_BLACK)])
+      .then(([white, black]) => ({ white, black }));
+  }
+  return cardFonts;
+}
+
+// The same layout as drawCardPdf, rendered to a 300 dpi PNG
+async function renderCardPng(card) {
+  const px = value => Math.round(value * CARD_PNG_DPI / 25.4);
+  const fonts = await loadCardFonts();
+  const isQr = card.codeType === 'qr';
+  const width = px(CARD_SIZE_MM.width);
+  const height = px(CARD_SIZE_MM.height);
+  const infoX = px(28);
+  const infoWidth = isQr ? px(38) : width - px(31);
+
+  const image = new Jimp({ width, height, color: 0xffffffff });
+  image.composite(new Jimp({ width, height: px(11), color: 0x1e3a8aff }), 0, 0);
+
+  let titleX = px(3);
+  if (card.logo) {
+    const logo = await Jimp.read(card.logo);
+    logo.scaleToFit({ w: px(8), h: px(8) });
+    image.composite(logo, px(2), px(1.5));
+    titleX = px(12);
+  }
+  image.print({ font: fonts.white, x: titleX, y: px(1.5), text: CARD_TITLE });
+  image.print({ font: fonts.white, x: titleX, y: px(5.5), text: 'LIBRARY CARD' });
+
+  if (card.photo) {
+    const photo = await Jimp.read(card.photo);
+    photo.cover({ w: px(22), h: px(28) });
+    image.composite(photo, px(3), px(14));
+  } else {
+    image.composite(new Jimp({ width: px(22), height: px(28), color: 0xe5e7ebff }), px(3), px(14));
+    image.print({ font: fonts.black, x: px(5), y: px(26), text: 'NO PHOTO' });
+  }
+
+  // Long names wrap, pushing the other lines down
+  const nameHeight = measureTextHeight(fonts.black, card.student.name, infoWidth);
+  const infoY = px(14) + Math.max(nameHeight - px(4), 0);
+  image.print({ font: fonts.black, x: infoX, y: px(14), text: card.student.name, maxWidth: infoWidth });
+  image.print({ font: fonts.black, x: infoX, y: infoY + px(5), text: card.label, maxWidth: infoWidth });
+  image.print({ font: fonts.black, x: infoX, y: infoY + px(9), text: `ID No.: ${card.student.studentNumber}`, maxWidth: infoWidth });
+  image.print({ font: fonts.black, x: infoX, y: infoY + px(13), text: `Valid until: ${card.expiry}`, maxWidth: infoWidth });
+
+  const code = await Jimp.read(card.code);
+  if (isQr) {
+    code.scaleToFit({ w: px(16), h: px(16) });
+    image.composite(code, width - px(19), px(14));
+  } else {
+    code.scaleToFit({ w: width - px(31), h: px(12) });
+    image.composite(code, infoX, px(33));
+  }
+
+  return image.getBuffer('image/png');
+}
+
+// Single card for one student: ?format=pdf|png&code=code128|qr
+app.get('/api/students/:id/card', requireRole(...STAFF_ROLES), async (req, res) => {
+  const format = req.query.format === 'png' ? 'png' : 'pdf';
+  const codeType = req.query.code === 'qr' ? 'qr' : 'code128';
+
+  try {
+    const student = await dbGet('SELECT * FROM students WHERE id = ?', [req.params.id]);
+    if (!student) {
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    const card = await loadCard(student, await loadCardLogo(), codeType);
+    const fileName = `${photoExportFileName(student.studentNumber).replace(/\.jpg$/, '')}_card.${format}`;
+
+    recordAudit(req, 'CARD_PRINT', {
+      details: `Printed ID card for ${student.name} (${student.studentNumber})`,
+      targetId: student.id,
+      studentNumber: student.studentNumber
+    });
+
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+
+    if (format === 'png') {
+      res.type('png').send(await renderCardPng(card));
+      return;
+    }
+
+    const doc = new PDFDocument({ size: [CARD_SIZE_MM.width * MM, CARD_SIZE_MM.height * MM], margin: 0 });
+    res.type('pdf');
+    doc.pipe(res);
+    drawCardPdf(doc, card, 0, 0);
+    doc.end();
+  } catch (err) {
+    console.error('❌ Error generating ID card:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Many cards on A4 sheets, ready to print and cut: ?ids=1,2,3&code=code128|qr
+app.get('/api/students/cards', requireRole(...STAFF_ROLES), async (req, res) => {
+  const codeType = req.query.code === 'qr' ? 'qr' : 'code128';
+  const ids = String(req.query.ids || '').split(',').map(id => parseInt(id)).filter(Boolean);
+
+  if (ids.length === 0) {
+    res.status(400).json({ error: 'ids_required' });
+    return;
+  }
+  if (ids.length > MAX_CARDS_PER_BATCH) {
+    res.status(400).json({ error: 'too_many_cards', max: MAX_CARDS_PER_BATCH });
+    return;
+  }
+
+  try {
+    const students = await dbAll(
+      `SELECT * FROM students WHERE id IN (${ids.map(() => '?').join(',')}) ORDER BY course, year, section, name`,
+      ids
+    );
+    if (students.length === 0) {
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    const logo = await loadCardLogo();
+    const cards = [];
+    for (const student of students) {
+      cards.push(await loadCard(student, logo, codeType));
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0 });
+    const cardWidth = CARD_SIZE_MM.width * MM;
+    const cardHeight = CARD_SIZE_MM.height * MM;
+    const gapX = CARD_SHEET.gapX * MM;
+    const gapY = CARD_SHEET.gapY * MM;
+    const left = (doc.page.width - CARD_SHEET.columns * cardWidth - (CARD_SHEET.columns - 1) * gapX) / 2;
+    const top = (doc.page.height - CARD_SHEET.rows * cardHeight - (CARD_SHEET.rows - 1) * gapY) / 2;
+    const perSheet = CARD_SHEET.columns * CARD_SHEET.rows;
+
+    res.type('pdf');
+    res.setHeader('Content-Disposition', `inline; filename="id_cards_${new Date().toISOString().split('T')[0]}.pdf"`);
+    doc.pipe(res);
+
+    cards.forEach((card, index) => {
+      const slot = index % perSheet;
+      if (index > 0 && slot === 0) doc.addPage();
+      const column = slot % CARD_SHEET.columns;
+      const row = Math.floor(slot / CARD_SHEET.columns);
+      drawCardPdf(doc, card, left + column * (cardWidth + gapX), top + row * (cardHeight + gapY));
+    });
+
+    doc.end();
+
+    console.log(`✅ Generated ${cards.length} ID cards`);
+    recordAudit(req, 'CARD_PRINT', { details: `Printed ${cards.length} ID cards` });
+  } catch (err) {
+    console.error('❌ Error generating ID cards:', err.message);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
+// ==================== EMAIL OUTBOX ====================
+
+// Registration confirmations are queued in email_outbox and sent in the
+// background, so a slow or broken mail server never holds up registration.
+// Transport settings come from the environment (see emailconfirmation.env):
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS - any SMTP server
+//   EMAIL_USER, EMAIL_PASS - Gmail with an app password, used without SMTP_HOST
+//   EMAIL_FROM - sender address
+const OUTBOX_POLL_MS = 30000;
+const OUTBOX_BATCH_SIZE = 20;
+const OUTBOX_RETRY_MINUTES = [1, 5, 15, 60, 240]; // wait before each retry, then give up
+const EMAIL_STATUSES = ['pending', 'sent', 'failed'];
+
+// Each kind of email has a subject and body template stored in settings;
+// these defaults apply until the librarian saves their own
+const EMAIL_TEMPLATES = {
+  registration: {
+    subjectKey: 'email-registration-subject',
+    bodyKey: 'email-registration-body',
+    subject: 'Welcome to the St. Albert Library, {{name}}',
+    body: [
+      'Hi {{name}},',
+      '',
+      'You are now registered with the NDHSCCI St. Albert Library.',
+      '',
+      'Student number: {{studentNumber}}',
+      'Program: {{course}} - {{year}}, Section {{section}} ({{label}})',
+      'Registered: {{registeredDate}}',
+      'Library card valid until: {{cardExpiry}}',
+      '',
+      'Please bring your school ID when you claim your library card.',
+      '',
+      'St. Albert Library'
+    ].join('\n')
+  },
+  reminder: {
+    subjectKey: 'email-reminder-subject',
+    bodyKey: 'email-reminder-body',
+    subject: 'Your St. Albert Library card expires on {{cardExpiry}}',
+    body: [
+      'Hi {{name}},',
+      '',
+      'Your library card ({{studentNumber}}) expires on {{cardExpiry}}.',
+      '',
+      'Please visit the library desk to renew it so you can keep borrowing books.',
+      '',
+      'St. Albert Library'
+    ].join('\n')
+  },
+  'login-code': {
+    subjectKey: 'email-login-code-subject',
+    bodyKey: 'email-login-code-body',
+    subject: 'Your St. Albert Library sign-in code',
+    body: [
+      'Hi {{name}},',
+      '',
+      'Your code to view your library record is {{code}}. It is valid for 10 minutes.',
+      '',
+      'If you did not ask for it, you can ignore this email.',
+      '',
+      'St. Albert Library'
+    ].join('\n')
+  }
+};
+const EMAIL_PLACEHOLDERS = ['name', 'studentNumber', 'course', 'year', 'section', 'label', 'cardExpiry', 'registeredDate', 'code'];
+
+// emailconfirmation.env ships with "your-..." placeholder values
+function isEnvUnset(value) {
+  return !value || /^your[-_]/i.test(value);
+}
+
+function createMailTransport() {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  if (!isEnvUnset(process.env.EMAIL_USER) && !isEnvUnset(process.env.EMAIL_PASS)) {
+    return nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    });
+  }
+
+  return null;
+}
+
+const mailTransport = createMailTransport();
+const mailFrom = process.env.EMAIL_FROM || process.env.SMTP_USER ||
+  (isEnvUnset(process.env.EMAIL_USER) ? 'library@localhost' : process.env.EMAIL_USER);
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+async function getEmailTemplate(kind) {
+  const template = EMAIL_TEMPLATES[kind];
+  const subject = await getSetting(template.subjectKey);
+  const body = await getSetting(template.bodyKey);
+  return { subject: subject || template.subject, body: body || template.body };
+}
+
+// Subject and body of an email about a student
+async function renderStudentEmail(kind, student, extra = {}) {
+  const template = await getEmailTemplate(kind);
+  const values = {
+    name: student.name,
+    studentNumber: student.studentNumber,
+    course: student.course,
+    year: student.year,
+    section: student.section || '',
+    label: getCombinedLabel(student.course, student.year, student.section),
+    cardExpiry: student.cardExpiry || 'N/A',
+    registeredDate: student.registeredDate || '',
+    ...extra
+  };
+  return { subject: fillTemplate(template.subject, values), body: fillTemplate(template.body, values) };
+}
+
+// Queue an email about a student. Never throws: whatever triggered it
+// (usually a registration) has already succeeded by the time this runs.
+// `extra` adds placeholders only some emails use, such as the sign-in code.
+async function queueStudentEmail(kind, student, dedupeKey = null, extra = {}) {
+  if (!student || !student.email) return;
+
+  try {
+    const { subject, body } = await renderStudentEmail(kind, student, extra);
+    await dbRun(
+      `INSERT INTO email_outbox (kind, toAddress, subject, body, studentId, studentNumber, dedupeKey)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [kind, student.email, subject, body, student.id, student.studentNumber, dedupeKey]
+    );
+    console.log(`📧 Queued ${kind} email for ${student.studentNumber}`);
+
+    processOutbox();
+  } catch (err) {
+    console.error(`❌ Error queueing ${kind} email for ${student.studentNumber}:`, err.message);
+  }
+}
+
+// Sign-in codes skip the outbox: a queued copy would keep the code readable
+// in email_outbox, and retries would go out long after it expired. Never
+// throws, and is not awaited, so the self-service form answers just as fast
+// whether or not a code was sent.
+async function sendLoginCode(student, code) {
+  if (!mailTransport) {
+    console.log(`⚠️ Mail is not configured; no sign-in code sent to ${student.studentNumber}`);
+    return;
+  }
+
+  try {
+    const { subject, body } = await renderStudentEmail('login-code', student, { code });
+    await mailTransport.sendMail({ from: mailFrom, to: student.email, subject, text: body });
+    console.log(`✅ Sign-in code sent to ${student.studentNumber}`);
+  } catch (err) {
+    console.error(`❌ Error sending sign-in code to ${student.studentNumber}:`, err.message);
+  }
+}
+
+let outboxRunning = false;
+
+async function processOutbox() {
+  if (!mailTransport || outboxRunning) return;
+  outboxRunning = true;
+
+  try {
+    const messages = await dbAll(
+      `SELECT * FROM email_outbox WHERE status = 'pending' AND nextAttemptAt <= datetime('now')
+       ORDER BY id LIMIT ?`,
+      [OUTBOX_BATCH_SIZE]
+    );
+
+    for (const message of messages) {
+      const attempts = message.attempts + 1;
+
+      try {
+        await mailTransport.sendMail({
+          from: mailFrom,
+          to: message.toAddress,
+          subject: message.subject,
+          text: message.body
+        });
+        await dbRun(
+          `UPDATE email_outbox SET status = 'sent', attempts = ?, lastError = NULL, sentAt = datetime('now') WHERE id = ?`,
+          [attempts, message.id]
+        );
+        console.log(`✅ Email #${message.id} sent to ${message.toAddress}`);
+      } catch (err) {
+        const retryMinutes = OUTBOX_RETRY_MINUTES[attempts - 1];
+        if (retryMinutes === undefined) {
+          await dbRun(
+            `UPDATE email_outbox SET status = 'failed', attempts = ?, lastError = ? WHERE id = ?`,
+            [attempts, err.message, message.id]
+          );
+          console.error(`❌ Email #${message.id} to ${message.toAddress} failed for good:`, err.message);
+        } else {
+          await dbRun(
+            `UPDATE email_outbox SET attempts = ?, lastError = ?, nextAttemptAt = datetime('now', ?) WHERE id = ?`,
+            [attempts, err.message, `+${retryMinutes} minutes`, message.id]
+          );
+          console.error(`⚠️ Email #${message.id} to ${message.toAddress} failed, retrying in ${retryMinutes} min:`, err.message);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error processing email outbox:', err.message);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+setInterval(processOutbox, OUTBOX_POLL_MS).unref();
+
+// Whether mail is configured, and how many messages are in each state
+app.get('/api/email/status', requireRole('librarian'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status');
+    const counts = Object.fromEntries(EMAIL_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => { counts[row.status] = row.count; });
+
+    res.json({ configured: !!mailTransport, from: mailTransport ? mailFrom : null, counts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current templates (saved or default) for every kind of email, with the
+// settings keys they are saved under through POST /api/settings
+app.get('/api/email/templates', requireRole('librarian'), async (req, res) => {
+  try {
+    const templates = {};
+    for (const [kind, template] of Object.entries(EMAIL_TEMPLATES)) {
+      templates[kind] = {
+        ...await getEmailTemplate(kind),
+        keys: { subject: template.subjectKey, body: template.bodyKey }
+      };
+    }
+    res.json({ templates, placeholders: EMAIL_PLACEHOLDERS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Outbox, newest first. Query: status, page, limit
+app.get('/api/email/outbox', requireRole('librarian'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+  const whereSql = EMAIL_STATUSES.includes(req.query.status) ? 'WHERE status = ?' : '';
+  const params = whereSql ? [req.query.status] : [];
+
+  try {
+    const count = await dbGet(`SELECT COUNT(*) AS total FROM email_outbox ${whereSql}`, params);
+    const items = await dbAll(
+      `SELECT id, kind, toAddress, subject, studentNumber, status, attempts, lastError, nextAttemptAt, createdAt, sentAt
+       FROM email_outbox ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ items, total: count.total, page, limit });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a failed (or still pending) message again right away
+app.post('/api/email/outbox/:id/retry', requireRole('librarian'), async (req, res) => {
+  try {
+    const message = await dbGet('SELECT * FROM email_outbox WHERE id = ?', [req.params.id]);
+    if (!message) {
+      res.status(404).json({ error: 'Email not found' });
+      return;
+    }
+    if (message.status === 'sent') {
+      res.status(400).json({ error: 'already_sent' });
+      return;
+    }
+
+    await dbRun(
+      `UPDATE email_outbox SET status = 'pending', attempts = 0, nextAttemptAt = datetime('now') WHERE id = ?`,
+      [message.id]
+    );
+    recordAudit(req, 'EMAIL_RETRY', {
+      details: `Retried email to ${message.toAddress}`,
+      targetId: message.id,
+      studentNumber: message.studentNumber
+    });
+
+    processOutbox();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== CARD EXPIRY & RENEWAL ====================
+
+// cardExpiry is stored as YYYY-MM-DD. Renewals extend it by the
+// "card-renewal-months" setting; "card-reminder-days" (0 = off) turns on
+// reminder emails that many days before a card expires.
+const DEFAULT_RENEWAL_MONTHS = 12;
+const CARD_EXPIRING_SOON_DAYS = 30; // flagged in the student list
+const EXPIRY_REPORT_WINDOWS = [30, 60, 90];
+const REMINDER_CHECK_MS = 60 * 60 * 1000;
+const MAX_RENEWAL_MONTHS = 60;
+
+const TODAY_SQL = "date('now', 'localtime')";
+const CARD_EXPIRED_SQL = `(date(cardExpiry) < ${TODAY_SQL})`;
+const CARD_EXPIRING_SQL = `(date(cardExpiry) BETWEEN ${TODAY_SQL} AND date('now', 'localtime', '+${CARD_EXPIRING_SOON_DAYS} days'))`;
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+function localToday() {
+  const now = new Date();
+  return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+}
+
+// Whole days from today until the given date (negative once it has passed)
+function daysUntil(isoDate) {
+  return Math.round((Date.parse(isoDate) - Date.parse(localToday())) / (24 * 60 * 60 * 1000));
+}
+
+// Add calendar months, keeping the day where possible (Jan 31 + 1 month = Feb 28/29)
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+}
+
+// 'expired', 'expiring' (within CARD_EXPIRING_SOON_DAYS), 'valid', or null when unknown
+function getCardStatus(cardExpiry) {
+  if (!isIsoDate(cardExpiry)) return null;
+  const days = daysUntil(cardExpiry);
+  if (days < 0) return 'expired';
+  if (days <= CARD_EXPIRING_SOON_DAYS) return 'expiring';
+  return 'valid';
+}
+
+async function getRenewalMonths() {
+  const months = parseInt(await getSetting('card-renewal-months'));
+  return months > 0 ? months : DEFAULT_RENEWAL_MONTHS;
+}
+
+// Expiry for a new registration that did not come with one
+async function defaultCardExpiry() {
+  try {
+    return addMonths(localToday(), await getRenewalMonths());
+  } catch (err) {
+    return addMonths(localToday(), DEFAULT_RENEWAL_MONTHS);
+  }
+}
+
+// Extend from the current expiry, or from today if the card already lapsed
+async function renewCard(req, student, months) {
+  const today = localToday();
+  const base = isIsoDate(student.cardExpiry) && student.cardExpiry > today ? student.cardExpiry : today;
+  const cardExpiry = addMonths(base, months);
+
+  await withTransaction(async () => {
+    await saveRevision(req, student, { cardExpiry }, 'renewal');
+    await dbRun('UPDATE students SET cardExpiry = ? WHERE id = ?', [cardExpiry, student.id]);
+  });
+  pruneRevisions(student.id).catch(err => console.error('❌ Error pruning revisions:', err.message));
+
+  recordAudit(req, 'CARD_RENEW', {
+    details: `Renewed card of ${student.name} (${student.studentNumber}) until ${cardExpiry}`,
+    targetId: student.id,
+    studentNumber: student.studentNumber,
+    before: { cardExpiry: student.cardExpiry },
+    after: { cardExpiry }
+  });
+
+  const renewed = presentStudent(await dbGet('SELECT * FROM students WHERE id = ?', [student.id]));
+  broadcast('student.updated', { student: renewed });
+  return renewed;
+}
+
+// Optional term override in the request body, otherwise the configured term
+async function resolveRenewalMonths(body) {
+  if (body && body.months !== undefined) {
+    const months = parseInt(body.months);
+    return months >= 1 && months <= MAX_RENEWAL_MONTHS ? months : null;
+  }
+  return getRenewalMonths();
+}
+
+// Expiring and expired cards. Query: days (window, default 30)
+app.get('/api/reports/expiring', requireAuth, async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+
+  try {
+    const expired = await dbAll(`SELECT * FROM students WHERE ${CARD_EXPIRED_SQL} ORDER BY date(cardExpiry), name`);
+    const expiring = await dbAll(
+      `SELECT * FROM students WHERE date(cardExpiry) BETWEEN ${TODAY_SQL} AND date('now', 'localtime', ?)
+       ORDER BY date(cardExpiry), name`,
+      [`+${days} days`]
+    );
+
+    const windows = {};
+    for (const window of EXPIRY_REPORT_WINDOWS) {
+      const count = await dbGet(
+        `SELECT COUNT(*) AS count FROM students WHERE date(cardExpiry) BETWEEN ${TODAY_SQL} AND date('now', 'localtime', ?)`,
+        [`+${window} days`]
+      );
+      windows[window] = count.count;
+    }
+
+    const withDaysLeft = row => ({ ...presentStudent(row), daysLeft: daysUntil(row.cardExpiry) });
+
+    res.json({
+      asOf: localToday(),
+      days,
+      expired: expired.map(withDaysLeft),
+      expiring: expiring.map(withDaysLeft),
+      windows,
+      renewalMonths: await getRenewalMonths()
+    });
+  } catch (err) {
+    console.error('❌ Error building expiry report:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Renew several cards at once: { ids: [...], months? }
+app.post('/api/students/renew', requireRole(...STAFF_ROLES), async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)).filter(Boolean) : [];
+  if (ids.length === 0) {
+    res.status(400).json({ error: 'ids_required' });
+    return;
+  }
+
+  try {
+    const months = await resolveRenewalMonths(req.body);
+    if (!months) {
+      res.status(400).json({ error: 'invalid_months' });
+      return;
+    }
+
+    const students = [];
+    const errors = [];
+    for (const id of ids) {
+      const student = await dbGet('SELECT * FROM students WHERE id = ?', [id]);
+      if (!student) {
+        errors.push({ id, error: 'Student not found' });
+        continue;
+      }
+      students.push(await renewCard(req, student, months));
+    }
+
+    console.log(`✅ Renewed ${students.length} cards by ${months} months`);
+    res.json({ renewed: students.length, months, students, errors });
+  } catch (err) {
+    console.error('❌ Error renewing cards:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Renew one card: { months? }
+app.post('/api/students/:id/renew', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const student = await dbGet('SELECT * FROM students WHERE id = ?', [req.params.id]);
+    if (!student) {
+      res.status(404).json({ error: 'Student not found' });
+      return;
+    }
+
+    const months = await resolveRenewalMonths(req.body);
+    if (!months) {
+      res.status(400).json({ error: 'invalid_months' });
+      return;
+    }
+
+    const renewed = await renewCard(req, student, months);
+    console.log(`✅ Renewed card of ${student.studentNumber} until ${renewed.cardExpiry}`);
+    res.json(renewed);
+  } catch (err) {
+    console.error('❌ Error renewing card:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Queue one reminder per student and expiry date, "card-reminder-days"
+// before the card runs out. Does nothing while the setting is 0 or unset.
+async function queueExpiryReminders() {
+  try {
+    const days = parseInt(await getSetting('card-reminder-days')) || 0;
+    if (days <= 0) return;
+
+    const students = await dbAll(
+      `SELECT * FROM students
+       WHERE COALESCE(email, '') != '' AND date(cardExpiry) BETWEEN ${TODAY_SQL} AND date('now', 'localtime', ?)`,
+      [`+${days} days`]
+    );
+
+    let queued = 0;
+    for (const student of students) {
+      const dedupeKey = `reminder:${student.id}:${student.cardExpiry}`;
+      const existing = await dbGet('SELECT id FROM email_outbox WHERE dedupeKey = ?', [dedupeKey]);
+      if (existing) continue;
+
+      await queueStudentEmail('reminder', student, dedupeKey);
+      queued++;
+    }
+
+    if (queued > 0) {
+      console.log(`📧 Queued ${queued} card expiry reminders`);
+    }
+  } catch (err) {
+    console.error('❌ Error queueing expiry reminders:', err.message);
+  }
+}
+
+setInterval(queueExpiryReminders, REMINDER_CHECK_MS).unref();
+
+// ==================== STUDENT IMPORT ====================
+
+const IMPORT_MODES = ['skip', 'update', 'fail'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Header spellings accepted for each field, compared without case, spaces or punctuation
+const IMPORT_COLUMN_ALIASES = {
+  studentNumber: ['studentnumber', 'studentno', 'studentid', 'idnumber', 'idno', 'number'],
+  name: ['name', 'fullname', 'studentname'],
+  gender: ['gender', 'sex'],
+  course: ['course', 'program', 'degree'],
+  year: ['year', 'yearlevel', 'level'],
+  section: ['section', 'block'],
+  email: ['email', 'emailaddress', 'mail'],
+  phone: ['phone', 'phonenumber', 'contact', 'contactnumber', 'mobile', 'mobilenumber'],
+  birthday: ['birthday', 'birthdate', 'dateofbirth', 'dob'],
+  cardExpiry: ['cardexpiry', 'expiry', 'expirydate', 'validuntil']
+};
+
+
+// RFC 4180 CSV: quoted fields may contain separators, doubled quotes and
+// line breaks. Semicolon and tab separated files are detected from the header.
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce(
+    (best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best),
+    ','
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Plain text of an exceljs cell value (rich text, hyperlinks and formulas unwrapped)
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return xlsxCellText(value.text);
+    if (value.result !== undefined) return xlsxCellText(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+// First worksheet as an array of rows; empty rows are kept so row numbers
+// in the report match the spreadsheet
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, row => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(xlsxCellText(row.getCell(col).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+// The client sends the file as base64, optionally wrapped in a data URL.
+// XLSX files are zip archives, so they are recognised by the "PK" signature.
+async function readImportFile(fileName, data) {
+  const buffer = Buffer.from(String(data).replace(/^data:[^,]*,/, ''), 'base64');
+  const isXlsx = /\.xlsx$/i.test(fileName || '') || (buffer[0] === 0x50 && buffer[1] === 0x4b);
+  return isXlsx ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+}
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Field for each column. `mapping` ({ header: field }, '' to ignore a column)
+// overrides the aliases; when two columns map to one field the first wins.
+function mapImportColumns(headers, mapping = {}) {
+  const used = new Set();
+  return headers.map(header => {
+    let field;
+    if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+      field = IMPORT_COLUMN_ALIASES[mapping[header]] ? mapping[header] : null;
+    } else {
+      const key = normalizeHeader(header);
+      field = Object.keys(IMPORT_COLUMN_ALIASES).find(name => IMPORT_COLUMN_ALIASES[name].includes(key)) || null;
+    }
+    if (!field || used.has(field)) return null;
+    used.add(field);
+    return field;
+  });
+}
+
+// YYYY-MM-DD, YYYY/MM/DD or M/D/YYYY (as typed in local spreadsheets)
+function parseImportDate(value) {
+  let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+  let parts = match && [match[1], match[2], match[3]];
+  if (!parts) {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    parts = match && [match[3], match[1], match[2]];
+  }
+  if (!parts) return null;
+
+  const iso = `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return isIsoDate(iso) && date.toISOString().startsWith(iso) ? iso : null;
+}
+
+// Match "BSN", "bs in nursing" etc. to a course name or abbreviation
+function normalizeCourse(value) {
+  const key = value.toLowerCase();
+  const course = referenceData.courses.find(candidate =>
+    candidate.name.toLowerCase() === key || candidate.abbreviation.toLowerCase() === key
+  );
+  return course ? course.name : null;
+}
+
+// "2", "2nd", "2nd year" -> "2nd Year"
+function normalizeYear(value) {
+  const number = parseInt((/^(\d+)/.exec(value) || [])[1], 10);
+  return number >= 1 && number <= MAX_COURSE_YEARS ? yearLabel(number) : null;
+}
+
+function normalizeGender(value) {
+  const key = value.toLowerCase();
+  if (key === 'm' || key === 'male') return 'Male';
+  if (key === 'f' || key === 'female') return 'Female';
+  return null;
+}
+
+// Clean up one spreadsheet row: spreadsheet spellings ("BSN", "2nd", "F",
+// 3/14/2005) are mapped to the form's values, then the row goes through
+// validateStudent. Returns the student fields and any errors as { field, code }
+function normalizeImportRow(raw) {
+  const value = field => String(raw[field] ?? '').trim();
+  const coerced = { ...raw };
+
+  const coercions = { gender: normalizeGender, course: normalizeCourse, year: normalizeYear, birthday: parseImportDate, cardExpiry: parseImportDate };
+  Object.keys(coercions).forEach(field => {
+    if (value(field)) coerced[field] = coercions[field](value(field)) || value(field);
+  });
+  coerced.section = value('section').toUpperCase().replace(/^SECTION\s*/, '');
+
+  const { student, fields } = validateStudent(coerced);
+  const errors = Object.keys(fields).map(field => ({ field, code: fields[field] }));
+  return { student, errors };
+}
+
+// Look up existing students (active and archived) by number, in chunks to
+// stay under SQLite's parameter limit
+async function findStudentsByNumber(table, numbers) {
+  const found = new Map();
+  for (let i = 0; i < numbers.length; i += 500) {
+    const chunk = numbers.slice(i, i + 500);
+    const rows = await dbAll(
+      `SELECT * FROM ${table} WHERE studentNumber IN (${chunk.map(() => '?').join(', ')})`,
+      chunk
+    );
+    rows.forEach(row => found.set(row.studentNumber, row));
+  }
+  return found;
+}
+
+// Validate every row and decide what committing would do with it:
+// insert, update (existing active student), skip or fail
+async function analyzeImport(rows, mapping, mode) {
+  const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+  const headers = headerIndex === -1 ? [] : rows[headerIndex].map(cell => String(cell).trim());
+  const fields = mapImportColumns(headers, mapping);
+  const columns = headers.map((header, index) => ({ header, field: fields[index] }));
+  const missingColumns = STUDENT_REQUIRED_FIELDS.filter(field => !fields.includes(field));
+
+  const entries = [];
+  rows.slice(headerIndex + 1).forEach((cells, index) => {
+    if (!cells.some(cell => String(cell).trim() !== '')) return;
+    const raw = {};
+    fields.forEach((field, col) => {
+      if (field) raw[field] = cells[col];
+    });
+    entries.push({ row: headerIndex + index + 2, ...normalizeImportRow(raw) });
+  });
+
+  const numbers = [...new Set(entries.map(entry => entry.student.studentNumber).filter(Boolean))];
+  const [active, archived] = await Promise.all([
+    findStudentsByNumber('students', numbers),
+    findStudentsByNumber('archived_students', numbers)
+  ]);
+
+  const seen = new Set();
+  const report = entries.map(({ row, student, errors }) => {
+    const number = student.studentNumber;
+    if (number && seen.has(number)) errors.push({ field: 'studentNumber', code: 'duplicate_in_file' });
+    if (number) seen.add(number);
+
+    const entry = { row, student, errors, status: 'valid', action: 'insert', duplicateOf: null, existingId: null };
+    if (errors.length > 0) {
+      return { ...entry, status: 'invalid', action: 'skip' };
+    }
+
+    const existing = active.get(number) || archived.get(number);
+    if (!existing) return entry;
+
+    const duplicateOf = active.has(number) ? 'students' : 'archived';
+    let action = 'skip';
+    if (mode === 'fail') action = 'fail';
+    // Archived records are never changed by an import; restore them first
+    else if (mode === 'update' && duplicateOf === 'students') action = 'update';
+    return { ...entry, status: 'duplicate', action, duplicateOf, existingId: existing.id, existing };
+  });
+
+  return {
+    columns,
+    missingColumns,
+    rows: report,
+    totals: {
+      rows: report.length,
+      valid: report.filter(entry => entry.status === 'valid').length,
+      invalid: report.filter(entry => entry.status === 'invalid').length,
+      duplicates: report.filter(entry => entry.status === 'duplicate').length,
+      insert: report.filter(entry => entry.action === 'insert').length,
+      update: report.filter(entry => entry.action === 'update').length,
+      skip: report.filter(entry => entry.action === 'skip').length
+    }
+  };
+}
+
+// Columns an update may change; blank cells keep the current value
+const IMPORT_UPDATE_FIELDS = ['name', 'gender', 'course', 'year', 'section', 'email', 'phone', 'birthday', 'cardExpiry'];
+
+// Write the analyzed rows in one transaction; any failure rolls back all of
+// them. Updated students keep their previous version as a revision.
+async function commitImport(req, entries, importedColumns) {
+  const now = new Date();
+  const defaultExpiry = await defaultCardExpiry();
+
+  return withTransaction(async () => {
+    const inserted = [];
+    const updated = [];
+
+    for (const entry of entries) {
+      const { student } = entry;
+
+      if (entry.action === 'insert') {
+        const result = await dbRun(
+          `INSERT INTO students
+           (studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday, cardExpiry,
+            registeredDate, registeredTime, registeredDateTime, isNew)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+          [
+            student.studentNumber, student.name, student.gender, student.course, student.year, student.section,
+            student.courseId, student.sectionId,
+            student.email, student.phone, student.birthday || '', student.cardExpiry || defaultExpiry,
+            now.toLocaleDateString(), now.toLocaleTimeString(), now.toISOString()
+          ]
+        );
+        inserted.push(await dbGet('SELECT * FROM students WHERE id = ?', [result.lastID]));
+      }
+
+      if (entry.action === 'update') {
+        const changes = IMPORT_UPDATE_FIELDS.filter(field => importedColumns.includes(field) && student[field]);
+        if (changes.includes('course')) changes.push('courseId');
+        if (changes.includes('section')) changes.push('sectionId');
+        const existing = await dbGet('SELECT * FROM students WHERE id = ?', [entry.existingId]);
+        if (changes.length > 0) {
+          await saveRevision(req, existing, Object.fromEntries(changes.map(field => [field, student[field]])), 'import');
+          await dbRun(
+            `UPDATE students SET ${changes.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...changes.map(field => student[field]), entry.existingId]
+          );
+        }
+        updated.push({ before: existing, after: await dbGet('SELECT * FROM students WHERE id = ?', [entry.existingId]) });
+      }
+    }
+
+    return { inserted, updated };
+  });
+}
+
+// Drop internal fields from the per-row report sent to the client
+function presentImportRow({ existing, ...entry }) {
+  return entry;
+}
+
+// Import students from CSV or XLSX:
+// { fileName, data (base64), mode: skip|update|fail, dryRun, mapping?, sendEmails? }
+// A dry run only reports what would happen; otherwise the valid rows are
+// written in one transaction.
+app.post('/api/students/import', requireRole('librarian'), async (req, res) => {
+  const { fileName = '', data, mapping = {}, dryRun = false, sendEmails = false } = req.body;
+  const mode = req.body.mode || 'skip';
+
+  if (!data) {
+    res.status(400).json({ error: 'file_required' });
+    return;
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    res.status(400).json({ error: 'invalid_mode' });
+    return;
+  }
+
+  console.log(`📥 POST /api/students/import - ${fileName || 'upload'} (${dryRun ? 'dry run' : mode})`);
+
+  let rows;
+  try {
+    rows = await readImportFile(fileName, data);
+  } catch (err) {
+    console.error('❌ Error reading import file:', err.message);
+    res.status(400).json({ error: 'unreadable_file' });
+    return;
+  }
+
+  try {
+    const analysis = await analyzeImport(rows, mapping, mode);
+    const report = { fileName, mode, dryRun: !!dryRun, ...analysis, rows: analysis.rows.map(presentImportRow) };
+
+    if (analysis.missingColumns.length > 0) {
+      res.status(400).json({ error: 'missing_columns', ...report });
+      return;
+    }
+    if (analysis.totals.rows > MAX_IMPORT_ROWS) {
+      res.status(400).json({ error: 'too_many_rows', limit: MAX_IMPORT_ROWS });
+      return;
+    }
+    if (dryRun) {
+      res.json(report);
+      return;
+    }
+    if (mode === 'fail' && analysis.totals.duplicates > 0) {
+      console.log(`⚠️ Import aborted: ${analysis.totals.duplicates} duplicate student numbers`);
+      res.status(409).json({ error: 'duplicates', ...report });
+      return;
+    }
+
+    const importedColumns = analysis.columns.map(column => column.field).filter(Boolean);
+    const { inserted, updated } = await commitImport(req, analysis.rows, importedColumns);
+
+    inserted.forEach(row => {
+      recordAudit(req, 'NEW_REGISTRATION', {
+        details: `Imported: ${row.name} (${row.studentNumber}) - ${row.course} ${row.year}-${row.section}`,
+        targetId: row.id,
+        studentNumber: row.studentNumber,
+        before: null,
+        after: row
+      });
+      if (sendEmails) queueStudentEmail('registration', row);
+    });
+    updated.forEach(({ before, after }) => {
+      pruneRevisions(after.id).catch(err => console.error('❌ Error pruning revisions:', err.message));
+      recordAudit(req, 'UPDATE', {
+        details: `Updated by import: ${after.name} (${after.studentNumber})`,
+        targetId: after.id,
+        studentNumber: after.studentNumber,
+        before,
+        after
+      });
+    });
+
+    const skipped = analysis.totals.rows - inserted.length - updated.length;
+    recordAudit(req, 'IMPORT', {
+      details: `Imported ${fileName || 'a file'}: ${inserted.length} added, ${updated.length} updated, ${skipped} skipped`
+    });
+
+    broadcast('students.imported', { inserted: inserted.length, updated: updated.length });
+
+    console.log(`✅ Import finished: ${inserted.length} added, ${updated.length} updated, ${skipped} skipped`);
+    res.json({ ...report, inserted: inserted.length, updated: updated.length, skipped });
+  } catch (err) {
+    console.error('❌ Error importing students:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== ACADEMIC YEAR ROLLOVER ====================
+
+// Once a year every student moves up a year level. Students already in the
+// last year of their course are archived with a reason instead. A rollover
+// is one batch: each affected student's previous values are kept in
+// rollover_changes so the latest batch can be undone.
+const DEFAULT_ROLLOVER_REASON = 'Graduated';
+const MAX_ROLLOVER_REASON_LENGTH = 100;
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{4}$/;
+
+function readRolloverOptions(body = {}) {
+  const fields = {};
+  const options = {
+    academicYear: String(body.academicYear ?? '').trim(),
+    reason: String(body.reason ?? '').trim().replace(/\s+/g, ' ') || DEFAULT_ROLLOVER_REASON,
+    resetIsNew: !!body.resetIsNew,
+    clearSections: !!body.clearSections,
+    archiveWithLoans: !!body.archiveWithLoans
+  };
+
+  if (options.academicYear) {
+    const [start, end] = options.academicYear.split('-').map(Number);
+    if (!ACADEMIC_YEAR_PATTERN.test(options.academicYear) || end !== start + 1) fields.academicYear = 'invalid_format';
+  }
+  if (options.reason.length > MAX_ROLLOVER_REASON_LENGTH) fields.reason = 'too_long';
+
+  return { options, fields };
+}
+
+// Decide what happens to every active student:
+//   promote  - next year level of the same course
+//   graduate - past the course's final year, goes to the archive
+//   held     - would graduate but still has books out (unless archiveWithLoans)
+//   skipped  - course or year level not recognised, left alone
+async function planRollover(options) {
+  const students = await dbAll('SELECT * FROM students ORDER BY course, year, name');
+  const loanRows = await dbAll('SELECT studentId, COUNT(*) AS count FROM loans WHERE returnedAt IS NULL GROUP BY studentId');
+  const outstanding = new Map(loanRows.map(row => [row.studentId, row.count]));
+
+  const entries = students.map(student => {
+    const course = referenceData.courses.find(entry => entry.id === student.courseId) || findCourse(student.course);
+    const year = yearNumber(student.year);
+    const entry = {
+      id: student.id,
+      studentNumber: student.studentNumber,
+      name: student.name,
+      course: student.course,
+      year: student.year,
+      section: student.section,
+      outstandingLoans: outstanding.get(student.id) || 0,
+      student
+    };
+
+    if (!course) return { ...entry, action: 'skipped', issue: 'unknown_course' };
+    if (!year) return { ...entry, action: 'skipped', issue: 'unknown_year' };
+    if (year < course.maxYears) return { ...entry, action: 'promote', nextYear: yearLabel(year + 1) };
+    if (entry.outstandingLoans > 0 && !options.archiveWithLoans) return { ...entry, action: 'held', issue: 'outstanding_loans' };
+    return { ...entry, action: 'graduate' };
+  });
+
+  const totals = { students: entries.length, promote: 0, graduate: 0, held: 0, skipped: 0 };
+  entries.forEach(entry => { totals[entry.action] += 1; });
+
+  return { options, totals, entries };
+}
+
+function presentRolloverEntry({ student, ...entry }) {
+  return entry;
+}
+
+function presentRolloverBatch(row) {
+  return { ...row, options: JSON.parse(row.options || '{}'), undone: !!row.undoneAt };
+}
+
+function presentRolloverReport(plan, dryRun) {
+  return { ...plan, dryRun, entries: plan.entries.map(presentRolloverEntry) };
+}
+
+// Plan and apply a rollover in one transaction, so the plan is made from the
+// records as they are when it is applied rather than from an earlier
+// preview. Resolves to { batchId, plan }.
+function commitRollover(req, options) {
+  const session = req.session || getSession(req);
+  const now = new Date();
+
+  return withTransaction(async () => {
+    const plan = await planRollover(options);
+    if (plan.totals.promote + plan.totals.graduate === 0) {
+      throw httpError(400, 'nothing_to_roll_over', presentRolloverReport(plan, false));
+    }
+
+    const batch = await dbRun(
+      `INSERT INTO rollover_batches (academicYear, reason, options, promoted, graduated, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [options.academicYear || null, options.reason, JSON.stringify(options),
+        plan.totals.promote, plan.totals.graduate, session ? session.username : null]
+    );
+    const batchId = batch.lastID;
+
+    for (const entry of plan.entries) {
+      const { student } = entry;
+      const before = { year: student.year, section: student.section, sectionId: student.sectionId, isNew: student.isNew };
+
+      if (entry.action === 'promote') {
+        const after = {
+          year: entry.nextYear,
+          section: options.clearSections ? '' : student.section,
+          sectionId: options.clearSections ? null : student.sectionId,
+          isNew: options.resetIsNew ? 0 : student.isNew
+        };
+        await saveRevision(req, student, after, 'rollover');
+        await dbRun('UPDATE students SET year = ?, section = ?, sectionId = ?, isNew = ? WHERE id = ?',
+          [after.year, after.section, after.sectionId, after.isNew, student.id]);
+        await dbRun('INSERT INTO rollover_changes (batchId, studentId, action, before, after) VALUES (?, ?, ?, ?, ?)',
+          [batchId, student.id, 'promote', JSON.stringify(before), JSON.stringify(after)]);
+      } else if (entry.action === 'graduate') {
+        const archived = await dbRun(
+          `INSERT INTO archived_students
+           (originalId, studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday,
+            cardExpiry, photoKey, registeredDate, registeredTime, registeredDateTime, archivedDate, archivedTime,
+            archiveReason, rolloverBatchId)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [student.id, student.studentNumber, student.name, student.gender, student.course, student.year,
+            student.section, student.courseId, student.sectionId, student.email, student.phone, student.birthday,
+            student.cardExpiry, student.photoKey, student.registeredDate, student.registeredTime,
+            student.registeredDateTime, now.toLocaleDateString(), now.toLocaleTimeString(), options.reason, batchId]
+        );
+        await dbRun('DELETE FROM students WHERE id = ?', [student.id]);
+        await dbRun('INSERT INTO rollover_changes (batchId, studentId, action, archivedId, before) VALUES (?, ?, ?, ?, ?)',
+          [batchId, student.id, 'graduate', archived.lastID, JSON.stringify(before)]);
+      }
+    }
+
+    return { batchId, plan };
+  });
+}
+
+// Put a batch back. Students edited since the rollover keep their edits, and
+// graduates restored or deleted in the meantime are left as they are; both
+// are reported as skipped. Graduates go back under their original id so
+// their loans and visits stay linked.
+function undoRollover(req, batch) {
+  const session = req.session || getSession(req);
+
+  return withTransaction(async () => {
+    const changes = await dbAll('SELECT * FROM rollover_changes WHERE batchId = ? ORDER BY id', [batch.id]);
+    const result = { reverted: 0, revertedIds: [], restored: [], skipped: [] };
+
+    for (const change of changes) {
+      const before = JSON.parse(change.before);
+
+      if (change.action === 'promote') {
+        const after = JSON.parse(change.after);
+        const student = await dbGet('SELECT * FROM students WHERE id = ?', [change.studentId]);
+        if (!student) {
+          result.skipped.push({ studentId: change.studentId, issue: 'not_found' });
+        } else if (student.year !== after.year || (student.section || '') !== (after.section || '')) {
+          result.skipped.push({ studentId: student.id, studentNumber: student.studentNumber, issue: 'changed' });
+        } else {
+          await saveRevision(req, student, before, 'rollover-undo');
+          await dbRun('UPDATE students SET year = ?, section = ?, sectionId = ?, isNew = ? WHERE id = ?',
+            [before.year, before.section, before.sectionId, before.isNew, student.id]);
+          result.reverted += 1;
+          result.revertedIds.push(student.id);
+        }
+        continue;
+      }
+
+      const archived = await dbGet('SELECT * FROM archived_students WHERE id = ?', [change.archivedId]);
+      if (!archived) {
+        result.skipped.push({ studentId: change.studentId, issue: 'not_found' });
+        continue;
+      }
+      const taken = await dbGet('SELECT id FROM students WHERE studentNumber = ?', [archived.studentNumber]);
+      if (taken) {
+        result.skipped.push({ studentId: change.studentId, studentNumber: archived.studentNumber, issue: 'studentNumber_taken' });
+        continue;
+      }
+
+      await dbRun(
+        `INSERT INTO students
+         (id, studentNumber, name, gender, course, year, section, courseId, sectionId, email, phone, birthday, cardExpiry,
+          photoKey, registeredDate, registeredTime, registeredDateTime, isNew)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [archived.originalId, archived.studentNumber, archived.name, archived.gender, archived.course, archived.year,
+          archived.section, archived.courseId, archived.sectionId, archived.email, archived.phone, archived.birthday,
+          archived.cardExpiry, archived.photoKey, archived.registeredDate, archived.registeredTime,
+          archived.registeredDateTime, before.isNew]
+      );
+      await dbRun('DELETE FROM archived_students WHERE id = ?', [archived.id]);
+      result.restored.push(archived);
+    }
+
+    const marked = await dbRun(
+      'UPDATE rollover_batches SET undoneAt = CURRENT_TIMESTAMP, undoneBy = ? WHERE id = ? AND undoneAt IS NULL',
+      [session ? session.username : null, batch.id]
+    );
+    if (marked.changes === 0) throw httpError(409, 'already_undone'); // undone meanwhile
+    return result;
+  });
+}
+
+// List rollover batches, newest first
+app.get('/api/rollover', requireRole('librarian'), async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM rollover_batches ORDER BY id DESC');
+    res.json(rows.map(presentRolloverBatch));
+  } catch (err) {
+    console.error('❌ Error fetching rollover batches:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run the rollover: { academicYear?, reason?, resetIsNew?, clearSections?, archiveWithLoans?, dryRun }
+// A dry run returns the plan without changing anything.
+app.post('/api/rollover', requireRole('librarian'), async (req, res) => {
+  const { options, fields } = readRolloverOptions(req.body);
+  if (Object.keys(fields).length > 0) {
+    sendValidationError(res, fields);
+    return;
+  }
+  const dryRun = !!req.body.dryRun;
+
+  console.log(`🎓 POST /api/rollover${dryRun ? ' - preview' : ''}`);
+
+  try {
+    if (dryRun) {
+      res.json(presentRolloverReport(await planRollover(options), true));
+      return;
+    }
+
+    const { batchId, plan } = await commitRollover(req, options);
+
+    plan.entries.filter(entry => entry.action === 'promote').forEach(entry => {
+      pruneRevisions(entry.id).catch(err => console.error('❌ Error pruning revisions:', err.message));
+    });
+
+    plan.entries.filter(entry => entry.action === 'graduate').forEach(entry => {
+      recordAudit(req, 'ARCHIVE', {
+        details: `Archived by rollover #${batchId}: ${entry.name} (${entry.studentNumber}) - ${options.reason}`,
+        targetId: entry.id,
+        studentNumber: entry.studentNumber,
+        before: entry.student,
+        after: null
+      });
+    });
+    recordAudit(req, 'ROLLOVER', {
+      details: `Rollover #${batchId}${options.academicYear ? ` for ${options.academicYear}` : ''}: ` +
+        `${plan.totals.promote} promoted, ${plan.totals.graduate} archived (${options.reason}), ` +
+        `${plan.totals.held} held, ${plan.totals.skipped} skipped` +
+        (options.resetIsNew ? ', new flags reset' : '') + (options.clearSections ? ', sections cleared' : '')
+    });
+
+    broadcast('students.rollover', { batchId, promoted: plan.totals.promote, graduated: plan.totals.graduate });
+
+    console.log(`✅ Rollover #${batchId}: ${plan.totals.promote} promoted, ${plan.totals.graduate} archived`);
+    res.json({ ...presentRolloverReport(plan, false), batchId });
+  } catch (err) {
+    if (!err.status) console.error('❌ Error running rollover:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// Undo a rollover. Only the most recent batch that is still in effect can be
+// undone, so batches are always unwound in order.
+app.post('/api/rollover/:id/undo', requireRole('librarian'), async (req, res) => {
+  const { id } = req.params;
+
+  console.log(`↩️ POST /api/rollover/${id}/undo`);
+
+  try {
+    const batch = await dbGet('SELECT * FROM rollover_batches WHERE id = ?', [id]);
+    if (!batch) {
+      res.status(404).json({ error: 'Rollover not found' });
+      return;
+    }
+    if (batch.undoneAt) {
+      res.status(409).json({ error: 'already_undone' });
+      return;
+    }
+    const latest = await dbGet('SELECT id FROM rollover_batches WHERE undoneAt IS NULL ORDER BY id DESC LIMIT 1');
+    if (latest.id !== batch.id) {
+      res.status(409).json({ error: 'not_latest', latestId: latest.id });
+      return;
+    }
+
+    const result = await undoRollover(req, batch);
+
+    result.revertedIds.forEach(studentId => {
+      pruneRevisions(studentId).catch(err => console.error('❌ Error pruning revisions:', err.message));
+    });
+    result.restored.forEach(archived => {
+      recordAudit(req, 'RESTORE', {
+        details: `Restored by undoing rollover #${batch.id}: ${archived.name} (${archived.studentNumber})`,
+        targetId: archived.originalId,
+        studentNumber: archived.studentNumber,
+        before: { archivedId: archived.id },
+        after: { archivedId: null, id: archived.originalId }
+      });
+    });
+    recordAudit(req, 'ROLLOVER_UNDO', {
+      details: `Undid rollover #${batch.id}: ${result.reverted} year levels reverted, ${result.restored.length} restored from the archive` +
+        (result.skipped.length > 0 ? `, ${result.skipped.length} skipped` : '')
+    });
+
+    broadcast('students.rollover', { batchId: batch.id, undone: true });
+
+    console.log(`✅ Rollover #${batch.id} undone`);
+    res.json({ batchId: batch.id, reverted: result.reverted, restored: result.restored.length, skipped: result.skipped });
+  } catch (err) {
+    console.error('❌ Error undoing rollover:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// ==================== LIBRARY VISITS ====================
+
+const DEFAULT_CLOSING_TIME = '17:00';
+const VISIT_CLOSE_CHECK_MS = 5 * 60 * 1000;
+
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSqlTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// Local "HH:MM" when open visits are closed automatically (setting 'library-closing-time')
+async function getClosingTime() {
+  const value = await getSetting('library-closing-time', DEFAULT_CLOSING_TIME);
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : DEFAULT_CLOSING_TIME;
+}
+
+// The first closing time after a check-in (the next day's for late check-ins)
+function visitClosingAt(checkInAt, closingTime) {
+  const checkIn = fromSqlTimestamp(checkInAt);
+  const [hours, minutes] = closingTime.split(':').map(Number);
+  const closing = new Date(checkIn);
+  closing.setHours(hours, minutes, 0, 0);
+  if (closing <= checkIn) closing.setDate(closing.getDate() + 1);
+  return closing;
+}
+
+function presentVisit(row) {
+  const durationMinutes = row.checkOutAt
+    ? Math.round((fromSqlTimestamp(row.checkOutAt) - fromSqlTimestamp(row.checkInAt)) / 60000)
+    : null;
+  return { ...row, durationMinutes };
+}
+
+// Close visits nobody checked out of, as of the closing time of their day
+async function closeStaleVisits() {
+  const open = await dbAll('SELECT * FROM visits WHERE checkOutAt IS NULL');
+  if (open.length === 0) return 0;
+
+  const closingTime = await getClosingTime();
+  const now = new Date();
+  let closed = 0;
+
+  for (const visit of open) {
+    const closingAt = visitClosingAt(visit.checkInAt, closingTime);
+    if (closingAt > now) continue;
+
+    await dbRun(
+      "UPDATE visits SET checkOutAt = ?, closedBy = 'auto' WHERE id = ? AND checkOutAt IS NULL",
+      [toSqlTimestamp(closingAt), visit.id]
+    );
+    closed++;
+  }
+
+  if (closed > 0) {
+    console.log(`🚪 Closed ${closed} visits left open at closing time`);
+    broadcast('visit.updated', { closed });
+  }
+  return closed;
+}
+
+setInterval(() => {
+  closeStaleVisits().catch(err => console.error('❌ Error closing visits:', err.message));
+}, VISIT_CLOSE_CHECK_MS).unref();
+
+// Resolve a scanned or typed student number to a student who may use the
+// library (visits and loans); throws an httpError the desk can explain otherwise
+async function findCardHolder(studentNumber) {
+  const number = String(studentNumber || '').trim();
+  if (!number) {
+    throw httpError(400, 'studentNumber_required');
+  }
+
+  const student = await dbGet('SELECT * FROM students WHERE studentNumber = ? COLLATE NOCASE', [number]);
+  if (!student) {
+    const archived = await dbGet(
+      'SELECT * FROM archived_students WHERE studentNumber = ? COLLATE NOCASE ORDER BY id DESC LIMIT 1',
+      [number]
+    );
+    if (archived) {
+      throw httpError(409, 'student_archived', { student: presentArchivedStudent(archived) });
+    }
+    throw httpError(404, 'student_not_found', { studentNumber: number });
+  }
+
+  if (getCardStatus(student.cardExpiry) === 'expired') {
+    throw httpError(409, 'card_expired', { cardExpiry: student.cardExpiry, student: presentStudent(student) });
+  }
+
+  return student;
+}
+
+async function checkIn(student) {
+  const open = await dbGet('SELECT * FROM visits WHERE studentId = ? AND checkOutAt IS NULL', [student.id]);
+  if (open) {
+    throw httpError(409, 'already_checked_in', { visit: presentVisit(open) });
+  }
+
+  // Course, year and section are copied so statistics keep the values of the day
+  const result = await dbRun(
+    `INSERT INTO visits (studentId, studentNumber, name, gender, course, year, section, checkInAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [student.id, student.studentNumber, student.name, student.gender, student.course, student.year, student.section, toSqlTimestamp(new Date())]
+  );
+  const visit = presentVisit(await dbGet('SELECT * FROM visits WHERE id = ?', [result.lastID]));
+
+  console.log(`🚪 ${student.studentNumber} checked in`);
+  broadcast('visit.updated', { visit });
+  return visit;
+}
+
+async function checkOut(student) {
+  const open = await dbGet('SELECT * FROM visits WHERE studentId = ? AND checkOutAt IS NULL', [student.id]);
+  if (!open) {
+    throw httpError(404, 'not_checked_in');
+  }
+
+  await dbRun("UPDATE visits SET checkOutAt = ?, closedBy = 'staff' WHERE id = ?", [toSqlTimestamp(new Date()), open.id]);
+  const visit = presentVisit(await dbGet('SELECT * FROM visits WHERE id = ?', [open.id]));
+
+  console.log(`🚪 ${student.studentNumber} checked out`);
+  broadcast('visit.updated', { visit });
+  return visit;
+}
+
+// Wrap a visit step: { studentNumber } in the body, httpErrors from the
+// helpers above become JSON responses
+function visitHandler(step) {
+  return async (req, res) => {
+    try {
+      await closeStaleVisits();
+      const student = await findCardHolder(req.body.studentNumber);
+      const { visit, status = 200 } = await step(student);
+      res.status(status).json({ visit, student: presentStudent(student) });
+    } catch (err) {
+      if (err.status) {
+        console.log(`⚠️ Visit refused for ${req.body.studentNumber}: ${err.message}`);
+        res.status(err.status).json(err.body);
+        return;
+      }
+      console.error('❌ Error recording visit:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+app.post('/api/visits/check-in', requireRole(...STAFF_ROLES), visitHandler(async student => ({ visit: await checkIn(student), status: 201 })));
+
+app.post('/api/visits/check-out', requireRole(...STAFF_ROLES), visitHandler(async student => ({ visit: await checkOut(student) })));
+
+// One scanner at the door: checks out students who are inside, checks in everyone else
+app.post('/api/visits/scan', requireRole(...STAFF_ROLES), visitHandler(async student => {
+  const open = await dbGet('SELECT id FROM visits WHERE studentId = ? AND checkOutAt IS NULL', [student.id]);
+  return open ? { visit: await checkOut(student) } : { visit: await checkIn(student), status: 201 };
+}));
+
+// Visits of one local day (default today), open ones first
+// Query: date (YYYY-MM-DD), status (open|closed), page, limit
+app.get('/api/visits', requireAuth, async (req, res) => {
+  const date = isIsoDate(req.query.date) ? req.query.date : localToday();
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const where = ["date(checkInAt, 'localtime') = ?"];
+  const params = [date];
+
+  if (req.query.status === 'open') where.push('checkOutAt IS NULL');
+  if (req.query.status === 'closed') where.push('checkOutAt IS NOT NULL');
+  const whereSql = `WHERE ${where.join(' AND ')}`;
+
+  try {
+    await closeStaleVisits();
+    const count = await dbGet(`SELECT COUNT(*) AS total FROM visits ${whereSql}`, params);
+    const rows = await dbAll(
+      `SELECT * FROM visits ${whereSql}
+       ORDER BY checkOutAt IS NOT NULL, checkInAt DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ items: rows.map(presentVisit), total: count.total, page, limit, date });
+  } catch (err) {
+    console.error('❌ Error fetching visits:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Visit counts for a day (?period=day&date=YYYY-MM-DD) or a month
+// (?period=month&month=YYYY-MM), broken down like the student dashboard
+app.get('/api/visits/stats', requireAuth, async (req, res) => {
+  const period = req.query.period === 'month' ? 'month' : 'day';
+  let from;
+  let to;
+
+  if (period === 'month') {
+    const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : localToday().slice(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+    from = `${month}-01`;
+    to = new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+  } else {
+    from = to = isIsoDate(req.query.date) ? req.query.date : localToday();
+  }
+
+  const rangeSql = "FROM visits WHERE date(checkInAt, 'localtime') BETWEEN ? AND ?";
+
+  try {
+    await closeStaleVisits();
+    const totals = await dbGet(
+      `SELECT COUNT(*) AS total,
+              COUNT(DISTINCT studentId) AS uniqueStudents,
+              COALESCE(SUM(CASE WHEN checkOutAt IS NULL THEN 1 ELSE 0 END), 0) AS open,
+              AVG(CASE WHEN checkOutAt IS NOT NULL
+                       THEN (julianday(checkOutAt) - julianday(checkInAt)) * 1440 END) AS averageMinutes
+       ${rangeSql}`,
+      [from, to]
+    );
+
+    // Visits per day for a month, per hour of the day for a single day
+    const bucketSql = period === 'month'
+      ? "date(checkInAt, 'localtime')"
+      : "strftime('%H', checkInAt, 'localtime')";
+    const buckets = await dbAll(`SELECT ${bucketSql} AS bucket, COUNT(*) AS count ${rangeSql} GROUP BY bucket ORDER BY bucket`, [from, to]);
+
+    res.json({
+      period,
+      from,
+      to,
+      ...totals,
+      averageMinutes: totals.averageMinutes === null ? null : Math.round(totals.averageMinutes),
+      [period === 'month' ? 'byDate' : 'byHour']: Object.fromEntries(buckets.map(row => [row.bucket, row.count])),
+      ...(await countBreakdowns(rangeSql, [from, to]))
+    });
+  } catch (err) {
+    console.error('❌ Error summarizing visits:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== CIRCULATION ====================
+
+// Loan rules live in the 'circulation-policy' setting (JSON). Loan periods
+// are in days: a course entry wins over a year entry, which wins over loanDays.
+const DEFAULT_CIRCULATION_POLICY = {
+  loanDays: 7,
+  byCourse: {},
+  byYear: {},
+  finePerDay: 5,
+  maxRenewals: 2,
+  maxLoans: 3
+};
+
+const BOOK_FIELDS = ['accessionNumber', 'title', 'author', 'isbn', 'callNumber', 'publisher', 'publicationYear'];
+
+// Open loans past their due date; dueDate is a local YYYY-MM-DD
+const LOAN_OVERDUE_SQL = `(loans.returnedAt IS NULL AND loans.dueDate < ${TODAY_SQL})`;
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+async function getCirculationPolicy() {
+  try {
+    return { ...DEFAULT_CIRCULATION_POLICY, ...JSON.parse(await getSetting('circulation-policy', '{}')) };
+  } catch (err) {
+    return { ...DEFAULT_CIRCULATION_POLICY };
+  }
+}
+
+function loanDaysFor(policy, student) {
+  return policy.byCourse[student.course] || policy.byYear[student.year] || policy.loanDays;
+}
+
+// Days overdue and the fine so far (or, once returned, the fine charged)
+function presentLoan(row, policy) {
+  const returnedDate = row.returnedAt ? localDateOf(row.returnedAt) : localToday();
+  const daysOverdue = Math.max(Math.round((Date.parse(returnedDate) - Date.parse(row.dueDate)) / 86400000), 0);
+  return {
+    ...row,
+    overdue: !row.returnedAt && daysOverdue > 0,
+    daysOverdue,
+    fine: row.returnedAt ? row.fine : daysOverdue * policy.finePerDay
+  };
+}
+
+// Local YYYY-MM-DD of a UTC "YYYY-MM-DD HH:MM:SS" timestamp
+function localDateOf(timestamp) {
+  const date = fromSqlTimestamp(timestamp);
+  return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+const LOAN_SELECT_SQL = `
+  SELECT loans.*, books.accessionNumber, books.title, books.author,
+         COALESCE(students.name, archived.name) AS studentName,
+         COALESCE(students.course, archived.course) AS course,
+         COALESCE(students.year, archived.year) AS year,
+         COALESCE(students.section, archived.section) AS section,
+         students.id IS NULL AS studentArchived
+  FROM loans
+  JOIN books ON books.id = loans.bookId
+  LEFT JOIN students ON students.id = loans.studentId
+  LEFT JOIN archived_students AS archived ON archived.id = (
+    SELECT MAX(id) FROM archived_students WHERE originalId = loans.studentId
+  )
+`;
+
+async function getLoan(id) {
+  return dbGet(`${LOAN_SELECT_SQL} WHERE loans.id = ?`, [id]);
+}
+
+// Open loans of an active student (used to guard archiving)
+async function getOutstandingLoans(studentId) {
+  const policy = await getCirculationPolicy();
+  const rows = await dbAll(`${LOAN_SELECT_SQL} WHERE loans.studentId = ? AND loans.returnedAt IS NULL ORDER BY loans.dueDate`, [studentId]);
+  return rows.map(row => presentLoan(row, policy));
+}
+
+function readBook(body) {
+  const book = {};
+  BOOK_FIELDS.forEach(field => {
+    book[field] = String(body[field] ?? '').trim();
+  });
+  book.accessionNumber = book.accessionNumber.toUpperCase();
+  return book;
+}
+
+function sendCirculationError(res, err, label) {
+  if (err.status) {
+    res.status(err.status).json(err.body);
+    return;
+  }
+  console.error(`❌ Error ${label}:`, err.message);
+  res.status(500).json({ error: err.message });
+}
+
+// ---- Catalog ----
+
+// List books. Query: q (accession number, title, author, ISBN),
+// status (available|on_loan|withdrawn), page, limit
+app.get('/api/books', requireAuth, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const where = [];
+  const params = [];
+
+  const search = String(req.query.q || '').trim();
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    where.push("(accessionNumber LIKE ? ESCAPE '\\' OR title LIKE ? ESCAPE '\\' OR author LIKE ? ESCAPE '\\' OR isbn LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern, pattern, pattern);
+  }
+  if (['available', 'on_loan', 'withdrawn'].includes(req.query.status)) {
+    where.push('status = ?');
+    params.push(req.query.status);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const count = await dbGet(`SELECT COUNT(*) AS total FROM books ${whereSql}`, params);
+    const items = await dbAll(
+      `SELECT books.*,
+              (SELECT dueDate FROM loans WHERE loans.bookId = books.id AND loans.returnedAt IS NULL) AS dueDate
+       FROM books ${whereSql}
+       ORDER BY title COLLATE NOCASE, accessionNumber LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ items, total: count.total, page, limit });
+  } catch (err) {
+    sendCirculationError(res, err, 'fetching books');
+  }
+});
+
+// Add a book; accession numbers are unique
+app.post('/api/books', requireRole(...STAFF_ROLES), async (req, res) => {
+  const book = readBook(req.body);
+  if (!book.accessionNumber || !book.title) {
+    res.status(400).json({ error: 'accession_and_title_required' });
+    return;
+  }
+
+  try {
+    const existing = await dbGet('SELECT id FROM books WHERE accessionNumber = ?', [book.accessionNumber]);
+    if (existing) {
+      res.status(409).json({ error: 'duplicate_accession', id: existing.id });
+      return;
+    }
+
+    const result = await dbRun(
+      `INSERT INTO books (${BOOK_FIELDS.join(', ')}) VALUES (${BOOK_FIELDS.map(() => '?').join(', ')})`,
+      BOOK_FIELDS.map(field => book[field])
+    );
+    const row = await dbGet('SELECT * FROM books WHERE id = ?', [result.lastID]);
+
+    recordAudit(req, 'BOOK_CREATE', { details: `Catalogued ${row.accessionNumber}: ${row.title}`, targetId: row.id, after: row });
+    console.log(`📚 Catalogued ${row.accessionNumber}`);
+    res.status(201).json(row);
+  } catch (err) {
+    sendCirculationError(res, err, 'adding book');
+  }
+});
+
+app.put('/api/books/:id', requireRole(...STAFF_ROLES), async (req, res) => {
+  const book = readBook(req.body);
+  if (!book.accessionNumber || !book.title) {
+    res.status(400).json({ error: 'accession_and_title_required' });
+    return;
+  }
+
+  try {
+    const existing = await dbGet('SELECT * FROM books WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      res.status(404).json({ error: 'book_not_found' });
+      return;
+    }
+    const clash = await dbGet('SELECT id FROM books WHERE accessionNumber = ? AND id != ?', [book.accessionNumber, existing.id]);
+    if (clash) {
+      res.status(409).json({ error: 'duplicate_accession', id: clash.id });
+      return;
+    }
+
+    await dbRun(
+      `UPDATE books SET ${BOOK_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...BOOK_FIELDS.map(field => book[field]), existing.id]
+    );
+    const row = await dbGet('SELECT * FROM books WHERE id = ?', [existing.id]);
+
+    recordAudit(req, 'BOOK_UPDATE', { details: `Updated ${row.accessionNumber}: ${row.title}`, targetId: row.id, before: existing, after: row });
+    res.json(row);
+  } catch (err) {
+    sendCirculationError(res, err, 'updating book');
+  }
+});
+
+// Withdraw a book from circulation (its loan history is kept)
+app.delete('/api/books/:id', requireRole('librarian'), async (req, res) => {
+  try {
+    const book = await dbGet('SELECT * FROM books WHERE id = ?', [req.params.id]);
+    if (!book) {
+      res.status(404).json({ error: 'book_not_found' });
+      return;
+    }
+    if (book.status === 'on_loan') {
+      res.status(409).json({ error: 'book_on_loan' });
+      return;
+    }
+
+    await dbRun("UPDATE books SET status = 'withdrawn' WHERE id = ?", [book.id]);
+    recordAudit(req, 'BOOK_WITHDRAW', { details: `Withdrew ${book.accessionNumber}: ${book.title}`, targetId: book.id });
+    res.json({ id: book.id, status: 'withdrawn' });
+  } catch (err) {
+    sendCirculationError(res, err, 'withdrawing book');
+  }
+});
+
+// ---- Loans ----
+
+app.get('/api/circulation/policy', requireAuth, async (req, res) => {
+  try {
+    res.json(await getCirculationPolicy());
+  } catch (err) {
+    sendCirculationError(res, err, 'fetching circulation policy');
+  }
+});
+
+app.put('/api/circulation/policy', requireRole('librarian'), async (req, res) => {
+  const current = await getCirculationPolicy();
+  const policy = { ...current };
+  const positive = value => Number.isInteger(value) && value > 0;
+  const days = map => Object.fromEntries(
+    Object.entries(map || {}).map(([key, value]) => [key, parseInt(value)]).filter(([, value]) => positive(value))
+  );
+
+  ['loanDays', 'maxLoans'].forEach(field => {
+    if (req.body[field] !== undefined) policy[field] = parseInt(req.body[field]);
+  });
+  ['finePerDay', 'maxRenewals'].forEach(field => {
+    if (req.body[field] !== undefined) policy[field] = Number(req.body[field]);
+  });
+  if (req.body.byCourse !== undefined) policy.byCourse = days(req.body.byCourse);
+  if (req.body.byYear !== undefined) policy.byYear = days(req.body.byYear);
+
+  if (!positive(policy.loanDays) || !positive(policy.maxLoans) ||
+      !(policy.finePerDay >= 0) || !(Number.isInteger(policy.maxRenewals) && policy.maxRenewals >= 0)) {
+    res.status(400).json({ error: 'invalid_policy' });
+    return;
+  }
+
+  try {
+    await dbRun('INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)', ['circulation-policy', JSON.stringify(policy)]);
+    recordAudit(req, 'SETTINGS_UPDATE', { details: 'Updated the circulation policy', before: current, after: policy });
+    res.json(policy);
+  } catch (err) {
+    sendCirculationError(res, err, 'saving circulation policy');
+  }
+});
+
+// List loans. Query: status (open|overdue|returned|unpaid), studentNumber, page, limit
+app.get('/api/loans', requireAuth, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const where = [];
+  const params = [];
+
+  if (req.query.status === 'open') where.push('loans.returnedAt IS NULL');
+  if (req.query.status === 'overdue') where.push(LOAN_OVERDUE_SQL);
+  if (req.query.status === 'returned') where.push('loans.returnedAt IS NOT NULL');
+  if (req.query.status === 'unpaid') where.push('loans.fine > 0 AND loans.finePaidAt IS NULL');
+  if (req.query.studentNumber) {
+    where.push('loans.studentNumber = ? COLLATE NOCASE');
+    params.push(String(req.query.studentNumber).trim());
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const policy = await getCirculationPolicy();
+    const count = await dbGet(`SELECT COUNT(*) AS total FROM loans ${whereSql}`, params);
+    const rows = await dbAll(
+      `${LOAN_SELECT_SQL} ${whereSql}
+       ORDER BY loans.returnedAt IS NOT NULL, loans.dueDate, loans.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({ items: rows.map(row => presentLoan(row, policy)), total: count.total, page, limit });
+  } catch (err) {
+    sendCirculationError(res, err, 'fetching loans');
+  }
+});
+
+// Overdue loans with the fines owed so far, longest overdue first
+app.get('/api/reports/overdue', requireAuth, async (req, res) => {
+  try {
+    const policy = await getCirculationPolicy();
+    const rows = await dbAll(`${LOAN_SELECT_SQL} WHERE ${LOAN_OVERDUE_SQL} ORDER BY loans.dueDate, studentName`);
+    const items = rows.map(row => presentLoan(row, policy));
+    const unpaid = await dbGet('SELECT COALESCE(SUM(fine), 0) AS total FROM loans WHERE fine > 0 AND finePaidAt IS NULL');
+
+    res.json({
+      asOf: localToday(),
+      finePerDay: policy.finePerDay,
+      items,
+      accruingFines: items.reduce((sum, loan) => sum + loan.fine, 0),
+      unpaidFines: unpaid.total
+    });
+  } catch (err) {
+    sendCirculationError(res, err, 'building overdue report');
+  }
+});
+
+// Lend a book: { studentNumber, accessionNumber }. The student must hold a
+// valid card, be under the loan limit and have no overdue books.
+app.post('/api/loans', requireRole(...STAFF_ROLES), async (req, res) => {
+  const accessionNumber = String(req.body.accessionNumber || '').trim();
+
+  try {
+    const student = await findCardHolder(req.body.studentNumber);
+    const policy = await getCirculationPolicy();
+
+    const loan = await withTransaction(async () => {
+      const book = await dbGet('SELECT * FROM books WHERE accessionNumber = ?', [accessionNumber.toUpperCase()]);
+      if (!book) throw httpError(404, 'book_not_found', { accessionNumber });
+      if (book.status === 'withdrawn') throw httpError(409, 'book_withdrawn');
+      if (book.status === 'on_loan') throw httpError(409, 'book_on_loan');
+
+      const open = await dbGet(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(CASE WHEN dueDate < ${TODAY_SQL} THEN 1 ELSE 0 END), 0) AS overdue
+         FROM loans WHERE studentId = ? AND returnedAt IS NULL`,
+        [student.id]
+      );
+      if (open.overdue > 0) throw httpError(409, 'has_overdue_loans', { overdue: open.overdue });
+      if (open.count >= policy.maxLoans) throw httpError(409, 'loan_limit', { maxLoans: policy.maxLoans });
+
+      const result = await dbRun(
+        `INSERT INTO loans (bookId, studentId, studentNumber, loanedAt, dueDate, loanedBy)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [book.id, student.id, student.studentNumber, toSqlTimestamp(new Date()),
+         addDays(localToday(), loanDaysFor(policy, student)), req.session.username]
+      );
+      await dbRun("UPDATE books SET status = 'on_loan' WHERE id = ?", [book.id]);
+      return getLoan(result.lastID);
+    });
+
+    recordAudit(req, 'LOAN', {
+      details: `Lent ${loan.accessionNumber} (${loan.title}) to ${student.name}, due ${loan.dueDate}`,
+      targetId: loan.id,
+      studentNumber: student.studentNumber
+    });
+    broadcast('loan.updated', { loan: presentLoan(loan, policy) });
+    console.log(`📚 ${loan.accessionNumber} lent to ${student.studentNumber} until ${loan.dueDate}`);
+    res.status(201).json(presentLoan(loan, policy));
+  } catch (err) {
+    sendCirculationError(res, err, 'lending book');
+  }
+});
+
+// Return a book: { loanId } or { accessionNumber } (as scanned at the desk).
+// Any fine is fixed at this point.
+app.post('/api/loans/return', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const policy = await getCirculationPolicy();
+
+    const loan = await withTransaction(async () => {
+      const open = req.body.loanId
+        ? await dbGet('SELECT * FROM loans WHERE id = ? AND returnedAt IS NULL', [req.body.loanId])
+        : await dbGet(
+          `SELECT loans.* FROM loans JOIN books ON books.id = loans.bookId
+           WHERE books.accessionNumber = ? AND loans.returnedAt IS NULL`,
+          [String(req.body.accessionNumber || '').trim().toUpperCase()]
+        );
+      if (!open) throw httpError(404, 'loan_not_found');
+
+      const returnedAt = toSqlTimestamp(new Date());
+      const { fine } = presentLoan({ ...open, returnedAt: null }, policy);
+      await dbRun('UPDATE loans SET returnedAt = ?, fine = ? WHERE id = ?', [returnedAt, fine, open.id]);
+      await dbRun("UPDATE books SET status = 'available' WHERE id = ? AND status = 'on_loan'", [open.bookId]);
+      return getLoan(open.id);
+    });
+
+    recordAudit(req, 'RETURN', {
+      details: `Returned ${loan.accessionNumber} (${loan.title})${loan.fine > 0 ? `, fine ${loan.fine}` : ''}`,
+      targetId: loan.id,
+      studentNumber: loan.studentNumber
+    });
+    broadcast('loan.updated', { loan: presentLoan(loan, policy) });
+    console.log(`📚 ${loan.accessionNumber} returned`);
+    res.json(presentLoan(loan, policy));
+  } catch (err) {
+    sendCirculationError(res, err, 'returning book');
+  }
+});
+
+// Renew an open loan for another loan period, from today or the due date,
+// whichever is later
+app.post('/api/loans/:id/renew', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const policy = await getCirculationPolicy();
+    const loan = await getLoan(req.params.id);
+    if (!loan || loan.returnedAt) {
+      res.status(404).json({ error: 'loan_not_found' });
+      return;
+    }
+    if (loan.renewals >= policy.maxRenewals) {
+      res.status(409).json({ error: 'renewal_limit', maxRenewals: policy.maxRenewals });
+      return;
+    }
+
+    const start = loan.dueDate > localToday() ? loan.dueDate : localToday();
+    const dueDate = addDays(start, loanDaysFor(policy, loan));
+    await dbRun('UPDATE loans SET dueDate = ?, renewals = renewals + 1 WHERE id = ?', [dueDate, loan.id]);
+    const renewed = presentLoan(await getLoan(loan.id), policy);
+
+    recordAudit(req, 'LOAN_RENEW', {
+      details: `Renewed ${loan.accessionNumber} (${loan.title}) until ${dueDate}`,
+      targetId: loan.id,
+      studentNumber: loan.studentNumber,
+      before: { dueDate: loan.dueDate },
+      after: { dueDate }
+    });
+    broadcast('loan.updated', { loan: renewed });
+    res.json(renewed);
+  } catch (err) {
+    sendCirculationError(res, err, 'renewing loan');
+  }
+});
+
+// Settle the fine of a returned loan: { action: 'pay' | 'waive' }
+app.post('/api/loans/:id/fine', requireRole(...STAFF_ROLES), async (req, res) => {
+  const action = req.body.action;
+  if (!['pay', 'waive'].includes(action)) {
+    res.status(400).json({ error: 'invalid_action' });
+    return;
+  }
+  // Waiving money is a librarian decision
+  if (action === 'waive' && req.session.role !== 'librarian') {
+    res.status(403).json({ error: 'forbidden' });
+    return;
+  }
+
+  try {
+    const policy = await getCirculationPolicy();
+    const loan = await getLoan(req.params.id);
+    if (!loan || !loan.returnedAt || !(loan.fine > 0) || loan.finePaidAt) {
+      res.status(404).json({ error: 'no_fine_due' });
+      return;
+    }
+
+    await dbRun(
+      `UPDATE loans SET finePaidAt = ?, fine = ${action === 'waive' ? '0' : 'fine'} WHERE id = ?`,
+      [toSqlTimestamp(new Date()), loan.id]
+    );
+    recordAudit(req, action === 'waive' ? 'FINE_WAIVE' : 'FINE_PAY', {
+      details: `${action === 'waive' ? 'Waived' : 'Received'} fine of ${loan.fine} for ${loan.accessionNumber}`,
+      targetId: loan.id,
+      studentNumber: loan.studentNumber
+    });
+    const settled = presentLoan(await getLoan(loan.id), policy);
+    broadcast('loan.updated', { loan: settled });
+    res.json(settled);
+  } catch (err) {
+    sendCirculationError(res, err, 'settling fine');
+  }
+});
+
+// ==================== ACTIVITY LOG ENDPOINTS ====================
+
+function parseActivityRow(row) {
+  return { ...row, changes: row.changes ? JSON.parse(row.changes) : null };
+}
+
+// Activity filters shared with the export:
+// action, user, studentNumber, from, to (YYYY-MM-DD, local dates)
+function parseActivityQuery(query) {
+  const where = [];
+  const params = [];
+
+  if (query.action) {
+    where.push('action = ?');
+    params.push(query.action);
+  }
+  if (query.user) {
+    where.push('username = ?');
+    params.push(query.user);
+  }
+  if (query.studentNumber) {
+    where.push('studentNumber = ?');
+    params.push(query.studentNumber);
+  }
+  if (query.from) {
+    where.push("date(timestamp, 'localtime') >= ?");
+    params.push(query.from);
+  }
+  if (query.to) {
+    where.push("date(timestamp, 'localtime') <= ?");
+    params.push(query.to);
+  }
+
+  return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+// Get activity log (paginated, filterable; see parseActivityQuery)
+app.get('/api/activity', requireAuth, (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const { whereSql, params } = parseActivityQuery(req.query);
+
+  db.get(`SELECT COUNT(*) AS total FROM activity_log ${whereSql}`, params, (err, count) => {
+    if (err) {
+      console.error('❌ Error counting activity log:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all(
+      `SELECT * FROM activity_log ${whereSql} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit],
+      (listErr, rows) => {
+        if (listErr) {
+          console.error('❌ Error fetching activity log:', listErr.message);
+          res.status(500).json({ error: listErr.message });
+          return;
+        }
+        res.json({ items: rows.map(parseActivityRow), total: count.total, page, limit });
+      }
+    );
+  });
+});
+
+// Distinct action names and users, for the activity log filters
+app.get('/api/activity/filters', requireAuth, (req, res) => {
+  db.all('SELECT DISTINCT action FROM activity_log ORDER BY action', [], (err, actions) => {
+    if (err) {
+      console.error('❌ Error fetching activity actions:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all('SELECT DISTINCT username FROM activity_log WHERE username IS NOT NULL ORDER BY username', [], (userErr, users) => {
+      if (userErr) {
+        console.error('❌ Error fetching activity users:', userErr.message);
+        res.status(500).json({ error: userErr.message });
+        return;
+      }
+      res.json({ actions: actions.map(a => a.action), users: users.map(u => u.username) });
+    });
+  });
+});
+
+// ==================== DATA EXPORT ====================
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Columns each dataset can export: { key: [header, value(row)?] }. Without a
+// value function the column is the field of the same name.
+const STUDENT_EXPORT_COLUMNS = {
+  studentNumber: ['Student Number'],
+  name: ['Name'],
+  gender: ['Gender'],
+  course: ['Course'],
+  year: ['Year'],
+  section: ['Section'],
+  program: ['Program', row => getCombinedLabel(row.course, row.year, row.section)],
+  email: ['Email'],
+  phone: ['Phone'],
+  cardExpiry: ['Card Expiry'],
+  cardStatus: ['Card Status', row => getCardStatus(row.cardExpiry)],
+  birthday: ['Birthday'],
+  registeredDate: ['Registered Date'],
+  registeredTime: ['Registered Time'],
+  registeredDateTime: ['Registered At']
+};
+
+const EXPORT_DATASETS = {
+  students: {
+    label: 'students',
+    columns: STUDENT_EXPORT_COLUMNS,
+    defaultColumns: ['studentNumber', 'name', 'gender', 'course', 'year', 'section', 'program', 'email', 'phone', 'cardExpiry', 'birthday', 'registeredDate', 'registeredTime'],
+    fetch: query => {
+      const { whereSql, params, orderSql } = parseStudentListQuery(query, 'isNew DESC, registeredDateTime DESC, id DESC');
+      return dbAll(`SELECT * FROM students ${whereSql} ORDER BY ${orderSql}`, params);
+    }
+  },
+  archived: {
+    label: 'archived students',
+    columns: {
+      ...STUDENT_EXPORT_COLUMNS,
+      archivedDate: ['Archived Date'],
+      archivedTime: ['Archived Time']
+    },
+    defaultColumns: ['studentNumber', 'name', 'gender', 'course', 'year', 'section', 'program', 'email', 'phone', 'birthday', 'registeredDate', 'archivedDate', 'archivedTime'],
+    fetch: query => {
+      const { whereSql, params, orderSql } = parseStudentListQuery(query, 'createdAt DESC, id DESC');
+      return dbAll(`SELECT * FROM archived_students ${whereSql} ORDER BY ${orderSql}`, params);
+    }
+  },
+  activity: {
+    label: 'activity entries',
+    columns: {
+      timestamp: ['Timestamp'],
+      action: ['Action'],
+      details: ['Details'],
+      username: ['User'],
+      ip: ['IP Address'],
+      studentNumber: ['Student Number'],
+      targetId: ['Record ID'],
+      changes: ['Changes']
+    },
+    defaultColumns: ['timestamp', 'action', 'details', 'username', 'studentNumber'],
+    fetch: query => {
+      const { whereSql, params } = parseActivityQuery(query);
+      return dbAll(`SELECT * FROM activity_log ${whereSql} ORDER BY timestamp DESC, id DESC`, params);
+    }
+  }
+};
+
+// RFC 4180: fields with separators, quotes or line breaks are quoted, and
+// quotes inside them are doubled
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UTF-8 with a byte order mark so Excel does not garble accented names
+function toCsv(headers, rows) {
+  const lines = [headers, ...rows].map(row => row.map(csvField).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Export students, archived students or activity entries as a download
+// Query: dataset (students|archived|activity), format (csv|xlsx|json),
+//        columns (comma-separated keys, default set when omitted), plus the
+//        filters of the matching list endpoint; ids=1,2,3 limits students to a selection
+app.get('/api/export', requireAuth, async (req, res) => {
+  const datasetName = req.query.dataset || 'students';
+  const dataset = EXPORT_DATASETS[datasetName];
+  const format = req.query.format || 'csv';
+
+  if (!dataset) {
+    res.status(400).json({ error: 'invalid_dataset' });
+    return;
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: 'invalid_format' });
+    return;
+  }
+
+  const columns = req.query.columns
+    ? String(req.query.columns).split(',').map(key => key.trim()).filter(Boolean)
+    : dataset.defaultColumns;
+  const unknown = columns.filter(key => !dataset.columns[key]);
+  if (columns.length === 0 || unknown.length > 0) {
+    res.status(400).json({ error: 'invalid_columns', columns: unknown, available: Object.keys(dataset.columns) });
+    return;
+  }
+
+  console.log(`📤 GET /api/export - ${datasetName} as ${format}`);
+
+  try {
+    const records = await dataset.fetch(req.query);
+    const headers = columns.map(key => dataset.columns[key][0]);
+    const rows = records.map(record => columns.map(key => {
+      const value = dataset.columns[key][1] ? dataset.columns[key][1](record) : record[key];
+      return value === null || value === undefined ? '' : value;
+    }));
+
+    const fileName = `library_${datasetName}_${localToday()}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(toCsv(headers, rows));
+    } else if (format === 'json') {
+      const items = rows.map(row => Object.fromEntries(columns.map((key, index) => [key, row[index]])));
+      res.type('application/json').send(JSON.stringify(items, null, 2));
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet(datasetName);
+      sheet.columns = columns.map((key, index) => ({ header: headers[index], key, width: Math.max(headers[index].length + 2, 14) }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+      rows.forEach(row => sheet.addRow(row));
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await workbook.xlsx.write(res);
+      res.end();
+    }
+
+    recordAudit(req, 'EXPORT', { details: `Exported ${records.length} ${dataset.label} as ${format.toUpperCase()}` });
+    console.log(`✅ Exported ${records.length} ${dataset.label}`);
+  } catch (err) {
+    console.error('❌ Error exporting data:', err.message);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
+// ==================== REPORTS ====================
+
+// Registration statistics over a date range, for the dashboard and the
+// monthly report to the school director. Registrations are counted from
+// registeredDateTime in both the active and the archived table, so students
+// archived since still count in the period they registered.
+const REPORT_GROUPS = ['day', 'week', 'month'];
+const MAX_REPORT_DAYS = 3 * 366;
+const COMPLETENESS_FIELDS = {
+  photo: HAS_PHOTO_SQL,
+  email: "COALESCE(email, '') != ''",
+  phone: "COALESCE(phone, '') != ''",
+  birthday: "COALESCE(birthday, '') != ''"
+};
+
+const REGISTRATIONS_SQL = `
+  (SELECT course, year, section, gender, date(registeredDateTime, 'localtime') AS registeredOn FROM students
+   UNION ALL
+   SELECT course, year, section, gender, date(registeredDateTime, 'localtime') AS registeredOn FROM archived_students)`;
+
+// Period key for a local YYYY-MM-DD column: the date, the Monday of its
+// week, or YYYY-MM
+function periodSql(column, groupBy) {
+  if (groupBy === 'month') return `strftime('%Y-%m', ${column})`;
+  if (groupBy === 'week') return `date(${column}, '-6 days', 'weekday 1')`;
+  return column;
+}
+
+// Every period key from `from` to `to`, so empty periods show as zero
+function reportPeriods(from, to, groupBy) {
+  const periods = [];
+  let date = from;
+  if (groupBy === 'week') {
+    const weekday = new Date(`${from}T00:00:00Z`).getUTCDay();
+    date = addDays(from, -((weekday + 6) % 7));
+  }
+  while (date <= to) {
+    const key = groupBy === 'month' ? date.slice(0, 7) : date;
+    if (!periods.includes(key)) periods.push(key);
+    date = groupBy === 'week' ? addDays(date, 7) : addDays(date, 1);
+  }
+  return periods;
+}
+
+// Query: from, to (YYYY-MM-DD, default this month so far), groupBy (day|week|month)
+function parseReportQuery(query) {
+  const today = localToday();
+  const from = query.from || `${today.slice(0, 7)}-01`;
+  const to = query.to || today;
+  const groupBy = REPORT_GROUPS.includes(query.groupBy) ? query.groupBy : 'day';
+
+  if (!isIsoDate(from) || !isIsoDate(to) || from > to) throw httpError(400, 'invalid_range');
+  if (daysUntil(to) - daysUntil(from) > MAX_REPORT_DAYS) throw httpError(400, 'range_too_long', { maxDays: MAX_REPORT_DAYS });
+  return { from, to, groupBy };
+}
+
+async function buildReport({ from, to, groupBy }) {
+  const inRange = `FROM ${REGISTRATIONS_SQL} WHERE registeredOn BETWEEN ? AND ?`;
+
+  const registrationRows = await dbAll(
+    `SELECT ${periodSql('registeredOn', groupBy)} AS period, COUNT(*) AS count ${inRange} GROUP BY period`,
+    [from, to]
+  );
+  const activityRows = await dbAll(
+    `SELECT ${periodSql("date(timestamp, 'localtime')", groupBy)} AS period, action, COUNT(*) AS count
+     FROM activity_log
+     WHERE action IN ('ARCHIVE', 'RESTORE') AND date(timestamp, 'localtime') BETWEEN ? AND ?
+     GROUP BY period, action`,
+    [from, to]
+  );
+
+  const series = reportPeriods(from, to, groupBy).map(period => ({
+    period,
+    registrations: (registrationRows.find(row => row.period === period) || {}).count || 0,
+    archived: (activityRows.find(row => row.period === period && row.action === 'ARCHIVE') || {}).count || 0,
+    restored: (activityRows.find(row => row.period === period && row.action === 'RESTORE') || {}).count || 0
+  }));
+  const sum = field => series.reduce((total, row) => total + row[field], 0);
+
+  // Completeness of the records of students registered now
+  const completeness = await dbGet(
+    `SELECT COUNT(*) AS total,
+            ${Object.keys(COMPLETENESS_FIELDS).map(field =>
+              `COALESCE(SUM(CASE WHEN ${COMPLETENESS_FIELDS[field]} THEN 0 ELSE 1 END), 0) AS ${field}`).join(',\n            ')}
+     FROM students`
+  );
+  const missing = {};
+  Object.keys(COMPLETENESS_FIELDS).forEach(field => {
+    missing[field] = {
+      count: completeness[field],
+      rate: completeness.total ? Math.round(completeness[field] / completeness.total * 1000) / 10 : 0
+    };
+  });
+
+  return {
+    from,
+    to,
+    groupBy,
+    generatedAt: new Date().toISOString(),
+    totals: { registrations: sum('registrations'), archived: sum('archived'), restored: sum('restored') },
+    series,
+    breakdowns: await countBreakdowns(inRange, [from, to]),
+    completeness: { students: completeness.total, missing }
+  };
+}
+
+// Print-ready A4 version of buildReport()
+function drawReportPdf(doc, report) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const ensureSpace = height => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  };
+
+  const heading = text => {
+    ensureSpace(40);
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).fillColor(CARD_COLOR).text(text, left, doc.y);
+    doc.moveDown(0.3);
+  };
+
+  const table = rows => {
+    doc.font('Helvetica').fontSize(10).fillColor('#111111');
+    rows.forEach(([label, value]) => {
+      ensureSpace(16);
+      const y = doc.y;
+      doc.text(String(label), left, y, { width: width * 0.7 });
+      doc.text(String(value), left + width * 0.7, y, { width: width * 0.3, align: 'right' });
+      doc.moveDown(0.2);
+    });
+  };
+
+  const counts = map => {
+    const rows = Object.entries(map).sort((a, b) => b[1] - a[1]);
+    table(rows.length ? rows : [['No registrations', 0]]);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(CARD_COLOR).text(CARD_TITLE, left, doc.y);
+  doc.font('Helvetica').fontSize(12).fillColor('#111111').text(`Registration Report: ${report.from} to ${report.to}`);
+  doc.fontSize(9).fillColor('#555555').text(`Generated ${new Date(report.generatedAt).toLocaleString()}`);
+
+  heading('Summary');
+  table([
+    ['New registrations', report.totals.registrations],
+    ['Students archived', report.totals.archived],
+    ['Students restored', report.totals.restored],
+    ['Students currently registered', report.completeness.students]
+  ]);
+
+  heading(`Registrations per ${report.groupBy}`);
+  table(report.series.map(row => [row.period, row.registrations]));
+
+  heading('By course');
+  counts(report.breakdowns.byCourse);
+  heading('By year');
+  const byYear = {};
+  Object.values(report.breakdowns.byCourseYear).forEach(years => {
+    Object.entries(years).forEach(([year, count]) => { byYear[year] = (byYear[year] || 0) + count; });
+  });
+  counts(byYear);
+  heading('By section');
+  counts(report.breakdowns.bySection);
+  heading('By gender');
+  counts(report.breakdowns.byGender);
+
+  heading('Incomplete records (currently registered students)');
+  table(Object.entries(report.completeness.missing).map(([field, { count, rate }]) => [`Missing ${field}`, `${count} (${rate}%)`]));
+}
+
+// JSON by default; format=pdf for the printable summary
+app.get('/api/reports', requireAuth, async (req, res) => {
+  try {
+    const report = await buildReport(parseReportQuery(req.query));
+
+    if (req.query.format !== 'pdf') {
+      res.json(report);
+      return;
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    res.type('pdf');
+    res.setHeader('Content-Disposition', `inline; filename="library_report_${report.from}_${report.to}.pdf"`);
+    doc.pipe(res);
+    drawReportPdf(doc, report);
+    doc.end();
+  } catch (err) {
+    if (err.status) {
+      res.status(err.status).json(err.body);
+      return;
+    }
+    console.error('❌ Error building report:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== DATA PRIVACY ====================
+
+// Archived records are kept for "archive-retention-months" (unset or 0 =
+// forever). A record past its retention is listed in the preview for
+// RETENTION_NOTICE_DAYS before the scheduled purge erases it, so staff can
+// restore or export it first. Erasing a record also scrubs the student's
+// name and number from the activity log, visits, loans and email outbox,
+// and removes their change requests.
+const RETENTION_NOTICE_DAYS = 14;
+const RETENTION_CHECK_MS = 60 * 60 * 1000;
+const ERASED_LABEL = '[erased]';
+
+async function getRetentionMonths() {
+  return parseInt(await getSetting('archive-retention-months')) || 0;
+}
+
+// Archived records whose retention ends on or before `untilDate` (YYYY-MM-DD)
+async function findExpiredArchives(months, untilDate) {
+  const rows = await dbAll(
+    `SELECT id, studentNumber, name, course, year, archiveReason, date(createdAt, 'localtime') AS archivedOn,
+            (SELECT COUNT(*) FROM loans WHERE loans.studentId = archived_students.originalId AND loans.returnedAt IS NULL) AS outstandingLoans
+     FROM archived_students ORDER BY createdAt, id`
+  );
+  return rows
+    .map(row => {
+      const retainedUntil = addMonths(row.archivedOn, months);
+      return { ...row, retainedUntil, purgeOn: addDays(retainedUntil, RETENTION_NOTICE_DAYS) };
+    })
+    .filter(entry => entry.retainedUntil <= untilDate);
+}
+
+async function buildRetentionPreview() {
+  const months = await getRetentionMonths();
+  if (months <= 0) return { months, noticeDays: RETENTION_NOTICE_DAYS, due: [], upcoming: [] };
+
+  const today = localToday();
+  const expired = await findExpiredArchives(months, today);
+  return {
+    months,
+    noticeDays: RETENTION_NOTICE_DAYS,
+    due: expired.filter(entry => entry.purgeOn <= today),
+    upcoming: expired.filter(entry => entry.purgeOn > today)
+  };
+}
+
+// The student number as a whole token in activity details, so 2024-1
+// does not match 2024-12
+function studentNumberMention(studentNumber) {
+  return new RegExp(`(?<![A-Z0-9-])${escapeRegExp(studentNumber)}(?![A-Z0-9-])`, 'g');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Activity entries about a student: tagged with the number, or older
+// untagged entries that mention it in the details
+async function findStudentActivity(studentNumber) {
+  const candidates = await dbAll(
+    `SELECT id, action, details, username, timestamp, changes, studentNumber FROM activity_log
+     WHERE studentNumber = ? OR (studentNumber IS NULL AND instr(details, ?) > 0)
+     ORDER BY id`,
+    [studentNumber, studentNumber]
+  );
+  return candidates.filter(entry =>
+    entry.studentNumber === studentNumber || studentNumberMention(studentNumber).test(entry.details));
+}
+
+// Offline registrations held for review that belong to a student: made for
+// their number, or resolved into or against their record
+const STUDENT_CONFLICTS_SQL =
+  "studentId = ? OR existingId = ? OR upper(trim(json_extract(payload, '$.studentNumber'))) = ?";
+
+// Everything the library holds about one student, for a data-subject request
+async function collectStudentData(row, source) {
+  const studentId = source === 'archived' ? row.originalId : row.id;
+  const { photo, photoKey, ...record } = row;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    source,
+    record,
+    loans: await dbAll('SELECT * FROM loans WHERE studentId = ? ORDER BY loanedAt', [studentId]),
+    visits: await dbAll('SELECT * FROM visits WHERE studentId = ? ORDER BY checkInAt', [studentId]),
+    changeRequests: (await dbAll(
+      'SELECT id, changes, note, status, reviewNote, createdAt, reviewedAt FROM change_requests WHERE studentId = ? ORDER BY id',
+      [studentId]
+    )).map(request => ({ ...request, changes: JSON.parse(request.changes) })),
+    revisions: (await dbAll(
+      'SELECT revision, data, source, changedBy, createdAt FROM student_revisions WHERE studentId = ? ORDER BY revision',
+      [studentId]
+    )).map(revision => ({ ...revision, data: JSON.parse(revision.data) })),
+    emails: await dbAll(
+      'SELECT kind, toAddress, subject, body, status, createdAt, sentAt FROM email_outbox WHERE studentId = ? ORDER BY id',
+      [studentId]
+    ),
+    activity: (await findStudentActivity(row.studentNumber))
+      .map(({ studentNumber, ...entry }) => ({ ...entry, changes: entry.changes ? JSON.parse(entry.changes) : null }))
+  };
+}
+
+// Permanently delete an archived record and scrub it from the other tables
+// in one transaction. Photo files are removed once it has committed.
+async function eraseArchivedStudent(archived) {
+  const studentId = archived.originalId;
+  const requestPhotos = await dbAll('SELECT photoKey FROM change_requests WHERE studentId = ? AND photoKey IS NOT NULL', [studentId]);
+  const revisionPhotos = await dbAll('SELECT DISTINCT photoKey FROM student_revisions WHERE studentId = ? AND photoKey IS NOT NULL', [studentId]);
+  const conflictParams = [studentId, studentId, archived.studentNumber];
+  const conflictPhotos = await dbAll(
+    `SELECT photoKey FROM registration_conflicts WHERE (${STUDENT_CONFLICTS_SQL}) AND photoKey IS NOT NULL`,
+    conflictParams
+  );
+
+  await withTransaction(async () => {
+    const removed = await dbRun('DELETE FROM archived_students WHERE id = ?', [archived.id]);
+    if (removed.changes === 0) throw httpError(404, 'Archived student not found'); // erased meanwhile
+
+    for (const entry of await findStudentActivity(archived.studentNumber)) {
+      const details = String(entry.details || '')
+        .replace(new RegExp(escapeRegExp(archived.name), 'gi'), ERASED_LABEL)
+        .replace(studentNumberMention(archived.studentNumber), ERASED_LABEL);
+      await dbRun('UPDATE activity_log SET details = ?, studentNumber = NULL, changes = NULL WHERE id = ?', [details, entry.id]);
+    }
+    await dbRun('UPDATE visits SET studentNumber = ?, name = NULL WHERE studentId = ?', [ERASED_LABEL, studentId]);
+    await dbRun('UPDATE loans SET studentNumber = ? WHERE studentId = ?', [ERASED_LABEL, studentId]);
+    await dbRun('DELETE FROM email_outbox WHERE studentId = ? OR studentNumber = ?', [studentId, archived.studentNumber]);
+    await dbRun('DELETE FROM change_requests WHERE studentId = ?', [studentId]);
+    await dbRun('DELETE FROM student_revisions WHERE studentId = ?', [studentId]);
+    await dbRun(`DELETE FROM registration_conflicts WHERE ${STUDENT_CONFLICTS_SQL}`, conflictParams);
+    await dbRun(
+      'DELETE FROM duplicate_flags WHERE recordA IN (?, ?) OR recordB IN (?, ?)',
+      [`archived:${archived.id}`, `student:${studentId}`, `archived:${archived.id}`, `student:${studentId}`]
+    );
+  });
+
+  await releasePhoto(archived.photoKey);
+  for (const { photoKey } of requestPhotos) await deletePhoto(photoKey);
+  for (const { photoKey } of conflictPhotos) await deletePhoto(photoKey);
+  for (const { photoKey } of revisionPhotos) await releasePhoto(photoKey);
+}
+
+// Erase every record whose notice period is over, except students who
+// still have books out. `req` is null when the schedule runs it.
+let purgeRunning = false;
+
+async function purgeExpiredArchives(req) {
+  if (purgeRunning) throw httpError(409, 'purge_in_progress');
+  purgeRunning = true;
+  try {
+    const { months, due } = await buildRetentionPreview();
+    const erased = [];
+
+    for (const entry of due.filter(item => item.outstandingLoans === 0)) {
+      const archived = await dbGet('SELECT * FROM archived_students WHERE id = ?', [entry.id]);
+      if (!archived) continue;
+      await eraseArchivedStudent(archived);
+      erased.push(entry.id);
+      broadcast('student.deleted', { archivedId: entry.id });
+    }
+
+    if (erased.length > 0) {
+      recordAudit(req, 'RETENTION_PURGE', {
+        details: `Erased ${erased.length} archived records kept longer than ${months} months`,
+        username: req ? undefined : 'system'
+      });
+      console.log(`🧹 Retention purge erased ${erased.length} archived records`);
+    }
+    return erased;
+  } finally {
+    purgeRunning = false;
+  }
+}
+
+async function runScheduledPurge() {
+  if (databasePaused) return;
+  try {
+    await purgeExpiredArchives(null);
+  } catch (err) {
+    if (err.status !== 409) console.error('❌ Scheduled retention purge failed:', err.message);
+  }
+}
+
+setInterval(runScheduledPurge, RETENTION_CHECK_MS).unref();
+
+// What the retention policy will erase, and when
+app.get('/api/retention', requireRole('librarian'), async (req, res) => {
+  try {
+    res.json(await buildRetentionPreview());
+  } catch (err) {
+    console.error('❌ Error building retention preview:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run the purge now instead of waiting for the schedule
+app.post('/api/retention/purge', requireRole('librarian'), async (req, res) => {
+  console.log('🧹 POST /api/retention/purge');
+
+  try {
+    const erased = await purgeExpiredArchives(req);
+    res.json({ erased: erased.length });
+  } catch (err) {
+    console.error('❌ Error purging archived records:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  }
+});
+
+// Data-subject export: a ZIP with data.json (record, loans, visits, emails,
+// activity entries) and the photo, for an active or archived student
+function sendStudentDataExport(table, source) {
+  return async (req, res) => {
+    try {
+      const row = await dbGet(`SELECT * FROM ${table} WHERE id = ?`, [req.params.id]);
+      if (!row) {
+        res.status(404).json({ error: 'Student not found' });
+        return;
+      }
+
+      const data = await collectStudentData(row, source);
+      const zipName = `student_data_${row.studentNumber}_${localToday()}.zip`;
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+
+      const archive = archiver('zip');
+      archive.on('error', (err) => {
+        console.error('❌ Error building data export:', err.message);
+        res.destroy(err);
+      });
+      archive.pipe(res);
+      archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+      if (row.photoKey) {
+        try {
+          archive.append(await fs.promises.readFile(photoPath(row.photoKey, 'full')), { name: 'photo.jpg' });
+        } catch (err) {
+          console.error(`❌ Error reading photo of ${row.studentNumber}:`, err.message);
+        }
+      }
+      await archive.finalize();
+
+      recordAudit(req, 'DATA_EXPORT', {
+        details: `Exported personal data of ${row.name} (${row.studentNumber})`,
+        targetId: row.id,
+        studentNumber: row.studentNumber
+      });
+    } catch (err) {
+      console.error('❌ Error exporting student data:', err.message);
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        res.status(500).json({ error: err.message });
+      }
+    }
+  };
+}
+
+app.get('/api/students/:id/data-export', requireRole('librarian'), sendStudentDataExport('students', 'students'));
+app.get('/api/archived/:id/data-export', requireRole('librarian'), sendStudentDataExport('archived_students', 'archived'));
+
+// ==================== BACKUPS ====================
+
+// Snapshots of library.db made with SQLite's online backup API, so they are
+// consistent even while the app is in use. Each snapshot is integrity-checked
+// before it is kept. Photo files are kept beside it in <name>.photos; they
+// never change once written, so they are hard-linked where the file system
+// allows. Settings: 'backup-interval-hours' (default 24, 0 = no scheduled
+// backups) and 'backup-keep' (newest snapshots kept, default 14).
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || './backups');
+const BACKUP_REASONS = ['scheduled', 'manual', 'pre-restore'];
+const BACKUP_NAME_PATTERN = /^library-[0-9TZ-]+-(scheduled|manual|pre-restore)\.db$/;
+const DEFAULT_BACKUP_INTERVAL_HOURS = 24;
+const DEFAULT_BACKUP_KEEP = 14;
+const BACKUP_CHECK_MS = 15 * 60 * 1000;
+const RESTORE_DRAIN_TIMEOUT_MS = 10 * 1000;
+
+let backupRunning = false;
+
+// Restoring closes the database. While that happens API requests get 503
+// 'maintenance' (the event stream stays open), and the restore waits for
+// requests already in progress to finish first.
+let databasePaused = false;
+let activeRequests = 0;
+
+function pauseDuringRestore(req, res, next) {
+  if (req.path === '/events') return next();
+  if (databasePaused) {
+    res.status(503).json({ error: 'maintenance' });
+    return;
+  }
+
+  activeRequests++;
+  let finished = false;
+  const done = () => {
+    if (!finished) {
+      finished = true;
+      activeRequests--;
+    }
+  };
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+}
+
+function backupPath(name) {
+  return path.join(BACKUP_DIR, name);
+}
+
+function backupPhotosPath(name) {
+  return backupPath(name.replace(/\.db$/, '.photos'));
+}
+
+// Link (or copy) into `to` the files of `from` that it does not have yet.
+// A file deleted meanwhile is skipped.
+async function linkMissingFiles(from, to) {
+  let names;
+  try {
+    names = await fs.promises.readdir(from);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  await fs.promises.mkdir(to, { recursive: true });
+  const existing = new Set(await fs.promises.readdir(to));
+  let added = 0;
+  for (const file of names.filter(candidate => !existing.has(candidate))) {
+    const source = path.join(from, file);
+    const target = path.join(to, file);
+    try {
+      await fs.promises.link(source, target).catch(err => {
+        if (err.code === 'ENOENT') throw err;
+        return fs.promises.copyFile(source, target);
+      });
+      added++;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return added;
+}
+
+async function listBackups() {
+  let names;
+  try {
+    names = await fs.promises.readdir(BACKUP_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const backups = [];
+  for (const name of names.filter(candidate => BACKUP_NAME_PATTERN.test(candidate))) {
+    const stat = await fs.promises.stat(backupPath(name));
+    backups.push({
+      name,
+      reason: BACKUP_NAME_PATTERN.exec(name)[1],
+      size: stat.size,
+      createdAt: stat.mtime.toISOString()
+    });
+  }
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// 'ok', or the problems PRAGMA integrity_check reported
+function checkIntegrity(file) {
+  return new Promise((resolve, reject) => {
+    const snapshot = new sqlite3.Database(file, sqlite3.OPEN_READONLY, openErr => {
+      if (openErr) {
+        reject(openErr);
+        return;
+      }
+      snapshot.all('PRAGMA integrity_check', [], (err, rows) => {
+        snapshot.close(() => {
+          if (err) reject(err);
+          else resolve(rows.map(row => row.integrity_check).join('; '));
+        });
+      });
+    });
+  });
+}
+
+function copyDatabase(file) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(file, initErr => {
+      if (initErr) {
+        reject(initErr);
+        return;
+      }
+
+      // Copy everything in one step; retry while another write holds a lock
+      const step = () => backup.step(-1, stepErr => {
+        if (stepErr && !backup.failed) {
+          setTimeout(step, 100);
+          return;
+        }
+        backup.finish(() => {
+          if (stepErr || !backup.completed) reject(stepErr || new Error('backup did not complete'));
+          else resolve();
+        });
+      });
+      step();
+    });
+  });
+}
+
+async function createBackup(reason) {
+  const name = `library-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.db`;
+  const partial = backupPath(`${name}.partial`);
+  const photos = backupPhotosPath(name);
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+
+  try {
+    // Photos are taken before and after the database, so the snapshot has
+    // the ones saved or released while it was copied
+    await linkMissingFiles(PHOTO_DIR, photos);
+    await copyDatabase(partial);
+    await linkMissingFiles(PHOTO_DIR, photos);
+    const integrity = await checkIntegrity(partial);
+    if (integrity !== 'ok') throw new Error(`integrity check failed: ${integrity}`);
+    await fs.promises.rename(partial, backupPath(name));
+  } catch (err) {
+    await fs.promises.unlink(partial).catch(() => {});
+    await fs.promises.rm(photos, { recursive: true, force: true }).catch(() => {});
+    throw err;
+  }
+
+  console.log(`💾 Backup created: ${name}`);
+  await rotateBackups();
+  return (await listBackups()).find(backup => backup.name === name);
+}
+
+// Keep the newest 'backup-keep' snapshots
+async function rotateBackups() {
+  const keep = Math.max(parseInt(await getSetting('backup-keep', DEFAULT_BACKUP_KEEP), 10) || DEFAULT_BACKUP_KEEP, 1);
+  const expired = (await listBackups()).slice(keep);
+  for (const backup of expired) {
+    await fs.promises.unlink(backupPath(backup.name)).catch(err => console.error(`❌ Could not remove ${backup.name}:`, err.message));
+    await fs.promises.rm(backupPhotosPath(backup.name), { recursive: true, force: true })
+      .catch(err => console.error(`❌ Could not remove photos of ${backup.name}:`, err.message));
+  }
+  if (expired.length > 0) console.log(`🗑️ Removed ${expired.length} old backups`);
+}
+
+// Back up when the newest snapshot is older than the configured interval
+async function runScheduledBackup() {
+  if (backupRunning || databasePaused) return;
+  backupRunning = true;
+  try {
+    const hours = parseFloat(await getSetting('backup-interval-hours', DEFAULT_BACKUP_INTERVAL_HOURS));
+    if (!(hours > 0)) return;
+
+    const [latest] = await listBackups();
+    if (latest && Date.now() - Date.parse(latest.createdAt) < hours * 60 * 60 * 1000) return;
+
+    await createBackup('scheduled');
+  } catch (err) {
+    console.error('❌ Scheduled backup failed:', err.message);
+  } finally {
+    backupRunning = false;
+  }
+}
+
+setInterval(runScheduledBackup, BACKUP_CHECK_MS).unref();
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(DB_PATH, err => (err ? reject(err) : resolve(handle)));
+  });
+}
+
+async function closeDatabase() {
+  if (transactionDb) {
+    const handle = transactionDb;
+    transactionDb = null; // reopened by the next transaction
+    await new Promise((resolve, reject) => handle.close(err => (err ? reject(err) : resolve())));
+  }
+  await new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+}
+
+async function waitForRequestsToFinish(ownRequests) {
+  const deadline = Date.now() + RESTORE_DRAIN_TIMEOUT_MS;
+  while (activeRequests > ownRequests) {
+    if (Date.now() > deadline) throw httpError(503, 'busy');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await transactionQueue;
+}
+
+// Replace library.db with a snapshot. The current database is backed up
+// first ('pre-restore'), so a restore can itself be undone.
+async function restoreBackup(name) {
+  const source = backupPath(name);
+  const integrity = await checkIntegrity(source);
+  if (integrity !== 'ok') throw httpError(422, 'backup_corrupt', { integrity });
+
+  databasePaused = true;
+  try {
+    await waitForRequestsToFinish(1);
+    const safety = await createBackup('pre-restore');
+
+    await closeDatabase();
+    try {
+      // Copy next to the database and rename, so library.db is never half-written
+      const incoming = `${DB_PATH}.restoring`;
+      await fs.promises.copyFile(source, incoming);
+      for (const suffix of ['-wal', '-shm', '-journal']) {
+        await fs.promises.unlink(`${DB_PATH}${suffix}`).catch(() => {});
+      }
+      await fs.promises.rename(incoming, DB_PATH);
+
+      // Bring back photos released since the snapshot. Snapshots from before
+      // photos were backed up have none.
+      const restored = await linkMissingFiles(backupPhotosPath(name), PHOTO_DIR);
+      if (restored > 0) console.log(`📸 Restored ${restored} photo files`);
+    } finally {
+      db = await openDatabase();
+      db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+    }
+
+    // The snapshot may come from an older release
+    await initializeDatabase();
+    return safety;
+  } finally {
+    databasePaused = false;
+  }
+}
+
+// List snapshots, newest first
+app.get('/api/backups', requireRole('librarian'), async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (err) {
+    console.error('❌ Error listing backups:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Back up now
+app.post('/api/backups', requireRole('librarian'), async (req, res) => {
+  if (backupRunning) {
+    res.status(409).json({ error: 'backup_in_progress' });
+    return;
+  }
+
+  backupRunning = true;
+  try {
+    const backup = await createBackup('manual');
+    recordAudit(req, 'BACKUP_CREATE', { details: `Backup ${backup.name} created` });
+    res.status(201).json(backup);
+  } catch (err) {
+    console.error('❌ Backup failed:', err.message);
+    res.status(500).json({ error: err.message });
+  } finally {
+    backupRunning = false;
+  }
+});
+
+app.get('/api/backups/:name/download', requireRole('librarian'), (req, res) => {
+  const { name } = req.params;
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(backupPath(name))) {
+    res.status(404).json({ error: 'backup_not_found' });
+    return;
+  }
+
+  // The database and its photos, in one ZIP
+  const zipName = name.replace(/\.db$/, '.zip');
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+
+  const archive = archiver('zip', { store: true });
+  archive.on('error', (err) => {
+    console.error('❌ Error building backup ZIP:', err.message);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+  archive.file(backupPath(name), { name });
+  if (fs.existsSync(backupPhotosPath(name))) archive.directory(backupPhotosPath(name), 'photos');
+  archive.finalize();
+
+  recordAudit(req, 'BACKUP_DOWNLOAD', { details: `Backup ${name} downloaded` });
+});
+
+// Restore a snapshot. Every open page reloads afterwards.
+app.post('/api/backups/:name/restore', requireRole('librarian'), async (req, res) => {
+  const { name } = req.params;
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(backupPath(name))) {
+    res.status(404).json({ error: 'backup_not_found' });
+    return;
+  }
+  if (backupRunning) {
+    res.status(409).json({ error: 'backup_in_progress' });
+    return;
+  }
+
+  console.log(`♻️ Restoring backup ${name}...`);
+  backupRunning = true;
+  try {
+    const safety = await restoreBackup(name);
+    recordAudit(req, 'BACKUP_RESTORE', { details: `Restored backup ${name} (previous data saved as ${safety.name})` });
+    broadcast('database.restored', { name }, { isPublic: true });
+
+    console.log(`✅ Backup ${name} restored`);
+    res.json({ message: 'Backup restored', name, safetyBackup: safety.name });
+  } catch (err) {
+    console.error('❌ Restore failed:', err.message);
+    res.status(err.status || 500).json(err.body || { error: err.message });
+  } finally {
+    backupRunning = false;
+  }
+});
+
+// ==================== SETTINGS ENDPOINTS ====================
+
+// Settings that the public registration page needs before anyone logs in
+const PUBLIC_SETTINGS = ['system-logo'];
+
+// Get setting
+app.get('/api/settings/:key', (req, res, next) => {
+  if (PUBLIC_SETTINGS.includes(req.params.key)) return next();
+  requireAuth(req, res, next);
+}, (req, res) => {
+  const { key } = req.params;
+  
+  db.get('SELECT * FROM settings WHERE key = ?', [key], (err, row) => {
+    if (err) {
+      console.error('❌ Error fetching setting:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(row || null);
+  });
+});
+
+// Update setting
+app.post('/api/settings', requireRole('librarian'), (req, res) => {
+  const { key, value } = req.body;
+
+  if (!key) {
+    res.status(400).json({ error: 'key_required' });
+    return;
+  }
+  
+  db.get('SELECT value FROM settings WHERE key = ?', [key], (err, existing) => {
+    if (err) {
+      console.error('❌ Error fetching setting:', err.message);
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    dbWrite(
+      'INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [key, value],
+      function(updateErr) {
+        if (updateErr) {
+          console.error('❌ Error updating setting:', updateErr.message);
+          res.status(500).json({ error: updateErr.message });
+          return;
+        }
+
+        let action = 'SETTINGS_UPDATE';
+        if (key === 'system-logo') action = value ? 'LOGO_UPDATE' : 'LOGO_REMOVE';
+
+        recordAudit(req, action, {
+          details: `Setting "${key}" updated`,
+          before: { [key]: existing ? existing.value : null },
+          after: { [key]: value }
+        });
+        broadcast('settings.updated', { key, value }, { isPublic: PUBLIC_SETTINGS.includes(key) });
+
+        res.json({ key, value });
+      }
+    );
+  });
 });
 
 // ==================== START SERVER ====================
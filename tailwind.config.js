@@ -0,0 +1,10 @@
+// The page used to load the Tailwind Play CDN, which needs internet. The
+// stylesheet is now built into public/vendor/tailwind.css; run
+// `npm run build:css` after adding new classes to public/index.html.
+module.exports = {
+  content: ['./public/index.html'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};